@@ -0,0 +1,134 @@
+import { SessionError } from 'crawlee';
+import { delay } from './scraper.js';
+
+// Kinds of bot blocks Amazon serves instead of the requested page
+export const BLOCK_TYPES = {
+    CAPTCHA: 'captcha',
+    SERVICE_UNAVAILABLE: 'service_unavailable', // 503 "dogs of Amazon" page
+    ROBOT_CHECK: 'robot_check',
+};
+
+/**
+ * Thrown when a page is blocked. Extends crawlee's SessionError, so the crawler
+ * retires the session (and its browser) and retries with a fresh one, up to
+ * `maxSessionRotations`. crawlee also counts session errors against the
+ * request's retries, so the block check hook raises `request.maxRetries` by one
+ * for every block.
+ */
+export class BlockedError extends SessionError {
+    constructor(blockType, url) {
+        super(`Blocked (${blockType}) on ${url}`);
+        this.name = 'BlockedError';
+        this.blockType = blockType;
+    }
+}
+
+/**
+ * Detect CAPTCHA, 503 and robot-check pages.
+ * Returns the block type (see BLOCK_TYPES) or null.
+ */
+export async function detectBlock(page, response) {
+    const url = page.url();
+    const status = response?.status() ?? null;
+
+    const signals = await page.evaluate(() => ({
+        title: document.title,
+        hasCaptchaForm: !!document.querySelector('form[action*="validateCaptcha"], #captchacharacters'),
+        text: document.body?.innerText.slice(0, 2000) ?? '',
+    })).catch(() => ({ title: '', hasCaptchaForm: false, text: '' }));
+
+    if (signals.hasCaptchaForm || url.includes('/errors/validateCaptcha')) return BLOCK_TYPES.CAPTCHA;
+    if (status === 503) return BLOCK_TYPES.SERVICE_UNAVAILABLE;
+    if (/robot check/i.test(signals.title)
+        || /automated access to amazon data|not a robot|sorry, we just need to make sure/i.test(signals.text)) {
+        return BLOCK_TYPES.ROBOT_CHECK;
+    }
+    return null;
+}
+
+/**
+ * Exponential backoff with jitter before retrying a blocked request.
+ */
+export async function blockBackoff(attempt, baseMs) {
+    if (attempt <= 0) return;
+    const ms = baseMs * 2 ** (attempt - 1);
+    await delay(ms + Math.floor(Math.random() * ms * 0.3));
+}
+
+// ── CAPTCHA Solvers ────────────────────────────────────────────────────
+// A solver is { name, solve(page, log) => Promise<boolean> }; solve() returns
+// true when the CAPTCHA was submitted and the page is no longer blocked.
+
+const CAPTCHA_SOLVERS = {
+    // Never solves: blocked requests go straight to session rotation
+    none: () => ({
+        name: 'none',
+        solve: async () => false,
+    }),
+
+    // Types a fixed answer into the Amazon CAPTCHA form. Meant for local
+    // test pages; real CAPTCHAs need a solver registered via registerCaptchaSolver().
+    stub: ({ stubAnswer = '' } = {}) => ({
+        name: 'stub',
+        async solve(page, log) {
+            const field = await page.$('#captchacharacters');
+            if (!field) return false;
+            log.info('CAPTCHA solver "stub" submitting fixed answer');
+            await field.fill(stubAnswer);
+            await Promise.all([
+                page.waitForNavigation({ timeout: 15000 }).catch(() => {}),
+                page.click('button[type="submit"], input[type="submit"]'),
+            ]);
+            return (await detectBlock(page, null)) === null;
+        },
+    }),
+};
+
+/**
+ * Register a CAPTCHA solver factory under a name usable in the `captchaSolver` input.
+ */
+export function registerCaptchaSolver(name, factory) {
+    CAPTCHA_SOLVERS[name] = factory;
+}
+
+/**
+ * Create the CAPTCHA solver selected in the input.
+ */
+export function createCaptchaSolver(name = 'none', options = {}) {
+    const factory = CAPTCHA_SOLVERS[name];
+    if (!factory) {
+        throw new Error(`Unknown captchaSolver "${name}", expected one of: ${Object.keys(CAPTCHA_SOLVERS).join(', ')}`);
+    }
+    return factory(options);
+}
+
+/**
+ * Post-navigation hook shared by every request type: throws BlockedError for
+ * blocked pages after giving the CAPTCHA solver a chance.
+ *
+ * @param {object} options
+ * @param {object} options.solver - CAPTCHA solver (see createCaptchaSolver()).
+ * @param {number} options.maxRequestRetries - The crawler's retry limit for errors other than blocks.
+ */
+export function createBlockCheckHook({ solver, maxRequestRetries }) {
+    return async ({ page, response, request, log }) => {
+        const blockType = await detectBlock(page, response);
+        if (!blockType) {
+            // A later failure of this request is no longer a block
+            delete request.userData.blockType;
+            return;
+        }
+
+        log.warning(`[${request.userData.marketplaceCode}] Blocked (${blockType}) on ${request.url}`);
+        if (blockType === BLOCK_TYPES.CAPTCHA && await solver.solve(page, log).catch(() => false)) {
+            log.info(`[${request.userData.marketplaceCode}] CAPTCHA solved by "${solver.name}"`);
+            delete request.userData.blockType;
+            return;
+        }
+
+        // Blocks are limited by maxSessionRotations only, not by the ordinary retries
+        request.userData.blockType = blockType;
+        request.maxRetries = (request.maxRetries ?? maxRequestRetries) + 1;
+        throw new BlockedError(blockType, request.url);
+    };
+}
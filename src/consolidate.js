@@ -0,0 +1,240 @@
+import { Actor } from 'apify';
+
+/**
+ * Consolidated per-seller view: one entity per seller across all marketplaces
+ * and ASINs, built from the per-sighting records of the default dataset.
+ *
+ * Records are grouped by sellerId; groups sharing a normalized business name or
+ * a valid VAT number are merged into one entity. For every contact field the
+ * entity carries the best value and the marketplace it came from, plus the
+ * conflicting values seen elsewhere.
+ */
+
+const JSON_KEY = 'SELLERS';
+const CSV_KEY = 'SELLERS_CSV';
+
+// Legal-form tokens dropped when matching business names
+const LEGAL_FORMS = new Set([
+    'gmbh', 'co', 'kg', 'ag', 'ug', 'ohg', 'ek', 'ltd', 'limited', 'llc', 'inc', 'corp', 'plc', 'llp',
+    'sarl', 'sas', 'sa', 'srl', 'spa', 'sl', 'bv', 'nv', 'sp', 'zoo', 'ab', 'as', 'oy', 'kk', 'gk',
+    'ltda', 'eireli', 'me', 'pty', 'pvt', 'pte', 'fze', 'fzco', 'fzc', 'company',
+]);
+const MIN_NAME_KEY_LENGTH = 4;
+
+/**
+ * Matching key for a business name: lowercase, no accents or punctuation,
+ * legal forms removed. "Müller Trading GmbH & Co. KG" -> "mullertrading".
+ */
+export function normalizeBusinessName(name) {
+    if (!name) return null;
+    const words = name
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .split(/\s+/)
+        .filter(w => w && !LEGAL_FORMS.has(w));
+    const key = words.join('');
+    return key.length >= MIN_NAME_KEY_LENGTH ? key : null;
+}
+
+const compactKey = value => value.toLowerCase().replace(/[^\p{L}\p{N}+@.]/gu, '');
+
+// Contact fields of an entity: value from a record, comparison key and validity
+const CONTACT_FIELDS = {
+    businessName: { value: r => r.businessName, key: v => normalizeBusinessName(v) ?? compactKey(v) },
+    businessType: { value: r => r.businessType },
+    phoneNumber: { value: r => r.phoneNumberE164 ?? r.phoneNumber },
+    customerServicePhone: { value: r => r.customerServicePhoneE164 ?? r.customerServicePhone },
+    email: { value: r => r.emailNormalized ?? r.email, valid: r => r.emailValid },
+    vatNumber: { value: r => r.vatNumberNormalized ?? r.vatNumber, valid: r => r.vatValid },
+    tradeRegisterNumber: { value: r => r.tradeRegisterNumber },
+    taxId: { value: r => r.taxId },
+    businessAddress: { value: r => r.businessAddress },
+    customerServiceAddress: { value: r => r.customerServiceAddress },
+};
+
+/**
+ * Create an aggregator; feed it seller records with add(), then read the
+ * consolidated entities with entities().
+ */
+export function createSellerAggregator() {
+    const groups = new Map(); // sellerId -> { sightings, profiles: Map(marketplace -> record) }
+    const linkOwner = new Map(); // "name:..." / "vat:..." -> first sellerId
+    const parent = new Map(); // union-find over sellerIds
+
+    const find = id => {
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+    const union = (a, b) => {
+        const ra = find(a);
+        const rb = find(b);
+        if (ra !== rb) parent.set(rb, ra);
+    };
+    const link = (key, sellerId) => {
+        if (!linkOwner.has(key)) linkOwner.set(key, sellerId);
+        else union(linkOwner.get(key), sellerId);
+    };
+
+    return {
+        /** Add one per-sighting seller record (other records are ignored). */
+        add(record) {
+            const { sellerId } = record;
+            if (!sellerId) return;
+            // Failed requests outside a listing (blocked storefront or profile pages) are no sighting
+            if (record.status !== 'ok' && !record.asin) return;
+
+            if (!groups.has(sellerId)) {
+                groups.set(sellerId, { sightings: [], profiles: new Map() });
+                parent.set(sellerId, sellerId);
+            }
+            const group = groups.get(sellerId);
+            group.sightings.push({ asin: record.asin, marketplace: record.marketplace, sellerName: record.sellerName });
+
+            if (record.status !== 'ok' || group.profiles.has(record.marketplace)) return;
+            group.profiles.set(record.marketplace, record);
+
+            const nameKey = normalizeBusinessName(record.businessName);
+            if (nameKey) link(`name:${nameKey}`, sellerId);
+            if (record.vatValid && record.vatNumberNormalized) link(`vat:${record.vatNumberNormalized}`, sellerId);
+        },
+
+        /** Consolidated entities, one per matched seller. */
+        entities() {
+            const components = new Map(); // root sellerId -> [sellerId]
+            for (const sellerId of groups.keys()) {
+                const root = find(sellerId);
+                if (!components.has(root)) components.set(root, []);
+                components.get(root).push(sellerId);
+            }
+            return [...components.values()].map(sellerIds => buildEntity(sellerIds.map(id => [id, groups.get(id)])));
+        },
+    };
+}
+
+function buildEntity(members) {
+    const sellerIds = members.map(([id]) => id);
+    const sellerNames = new Set();
+    const asinsByMarketplace = {};
+    const ratings = {};
+    const profiles = [];
+
+    for (const [sellerId, { sightings, profiles: byMarketplace }] of members) {
+        for (const { asin, marketplace, sellerName } of sightings) {
+            if (sellerName) sellerNames.add(sellerName);
+            asinsByMarketplace[marketplace] ??= [];
+            if (asin && !asinsByMarketplace[marketplace].includes(asin)) asinsByMarketplace[marketplace].push(asin);
+        }
+        for (const [marketplace, record] of byMarketplace) {
+            profiles.push(record);
+            if (record.sellerDisplayName) sellerNames.add(record.sellerDisplayName);
+            ratings[`${marketplace}-${sellerId}`] = {
+                marketplace,
+                sellerId,
+                rating: record.rating,
+                positivePercent: record.positivePercent,
+                ratingCount: record.ratingCount,
+            };
+        }
+    }
+
+    const contact = {};
+    const conflicts = [];
+    for (const [field, spec] of Object.entries(CONTACT_FIELDS)) {
+        const { best, values } = pickField(profiles, spec);
+        contact[field] = best;
+        if (values.length > 1) conflicts.push({ field, values });
+    }
+
+    return {
+        entityId: sellerIds[0],
+        sellerIds,
+        sellerNames: [...sellerNames],
+        marketplaces: Object.keys(asinsByMarketplace),
+        asins: [...new Set(Object.values(asinsByMarketplace).flat())],
+        asinsByMarketplace,
+        ...contact,
+        ratings: Object.values(ratings),
+        conflicts,
+    };
+}
+
+/**
+ * Best value of one contact field across an entity's profiles: valid values
+ * first, then the one seen on the most marketplaces, then the first seen.
+ * Returns { best: { value, marketplace } | null, values: [{ value, marketplaces }] }.
+ */
+function pickField(profiles, { value: valueOf, key: keyOf = compactKey, valid: validOf = () => null }) {
+    const byKey = new Map();
+    for (const record of profiles) {
+        const value = valueOf(record);
+        if (!value) continue;
+        const key = keyOf(value);
+        if (!byKey.has(key)) byKey.set(key, { value, marketplaces: [], valid: validOf(record) !== false });
+        const entry = byKey.get(key);
+        if (!entry.marketplaces.includes(record.marketplace)) entry.marketplaces.push(record.marketplace);
+    }
+
+    const candidates = [...byKey.values()];
+    const best = candidates.reduce((a, b) => {
+        if (!a) return b;
+        if (a.valid !== b.valid) return a.valid ? a : b;
+        return b.marketplaces.length > a.marketplaces.length ? b : a;
+    }, null);
+
+    return {
+        best: best ? { value: best.value, marketplace: best.marketplaces[0] } : null,
+        values: candidates.map(({ value, marketplaces }) => ({ value, marketplaces })),
+    };
+}
+
+// ── Export ─────────────────────────────────────────────────────────────
+/** One CSV cell, quoted when needed. */
+export const csvCell = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Flatten entities to CSV: list columns joined with "; ", each contact field
+ * followed by its source marketplace column.
+ */
+export function sellersToCsv(entities) {
+    const fields = Object.keys(CONTACT_FIELDS);
+    const header = [
+        'entityId', 'sellerIds', 'sellerNames', 'marketplaces', 'asinCount', 'asins',
+        ...fields.flatMap(f => [f, `${f}Marketplace`]),
+        'conflicts',
+    ];
+    const rows = entities.map(e => [
+        e.entityId,
+        e.sellerIds.join('; '),
+        e.sellerNames.join('; '),
+        e.marketplaces.join('; '),
+        e.asins.length,
+        e.asins.join('; '),
+        ...fields.flatMap(f => [e[f]?.value, e[f]?.marketplace]),
+        e.conflicts.map(c => `${c.field}: ${c.values.map(v => `${v.value} (${v.marketplaces.join('/')})`).join(' | ')}`)
+            .join('; '),
+    ]);
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+/**
+ * Consolidate the seller records of a dataset and save the result to the
+ * default key-value store as JSON (SELLERS) and CSV (SELLERS_CSV).
+ * Returns the number of entities.
+ */
+export async function saveConsolidatedSellers(dataset) {
+    const aggregator = createSellerAggregator();
+    await dataset.forEach(record => aggregator.add(record));
+    const entities = aggregator.entities();
+
+    await Actor.setValue(JSON_KEY, entities);
+    await Actor.setValue(CSV_KEY, sellersToCsv(entities), { contentType: 'text/csv; charset=utf-8' });
+    return entities.length;
+}
@@ -1,26 +1,168 @@
+import { SELLER_PAGE_LABELS } from './labels.js';
+
+// `country` is used for proxy geo-targeting, `locale`/`timezone` for the browser
+// identity. `labels` holds the seller profile page vocabulary for the
+// marketplace's languages (English is always included as a fallback).
 export const MARKETPLACES = [
-    { code: 'UK', domain: 'amazon.co.uk', currency: 'GBP', tld: 'co.uk' },
-    { code: 'IE', domain: 'amazon.ie', currency: 'EUR', tld: 'ie' },
-    { code: 'DE', domain: 'amazon.de', currency: 'EUR', tld: 'de' },
-    { code: 'NL', domain: 'amazon.nl', currency: 'EUR', tld: 'nl' },
-    { code: 'SE', domain: 'amazon.se', currency: 'SEK', tld: 'se' },
-    { code: 'BE', domain: 'amazon.com.be', currency: 'EUR', tld: 'com.be' },
-    { code: 'PL', domain: 'amazon.pl', currency: 'PLN', tld: 'pl' },
-    { code: 'ES', domain: 'amazon.es', currency: 'EUR', tld: 'es' },
-    { code: 'IT', domain: 'amazon.it', currency: 'EUR', tld: 'it' },
-    { code: 'AE', domain: 'amazon.ae', currency: 'AED', tld: 'ae' },
-    { code: 'JP', domain: 'amazon.co.jp', currency: 'JPY', tld: 'co.jp' },
-    { code: 'SA', domain: 'amazon.sa', currency: 'SAR', tld: 'sa' },
-    { code: 'TR', domain: 'amazon.com.tr', currency: 'TRY', tld: 'com.tr' },
+    {
+        code: 'UK', domain: 'amazon.co.uk', currency: 'GBP', tld: 'co.uk',
+        country: 'GB', locale: 'en-GB', timezone: 'Europe/London',
+        labels: SELLER_PAGE_LABELS.en,
+    },
+    {
+        code: 'IE', domain: 'amazon.ie', currency: 'EUR', tld: 'ie',
+        country: 'IE', locale: 'en-IE', timezone: 'Europe/Dublin',
+        labels: SELLER_PAGE_LABELS.en,
+    },
+    {
+        code: 'DE', domain: 'amazon.de', currency: 'EUR', tld: 'de',
+        country: 'DE', locale: 'de-DE', timezone: 'Europe/Berlin',
+        labels: SELLER_PAGE_LABELS.de,
+    },
+    {
+        code: 'NL', domain: 'amazon.nl', currency: 'EUR', tld: 'nl',
+        country: 'NL', locale: 'nl-NL', timezone: 'Europe/Amsterdam',
+        labels: SELLER_PAGE_LABELS.nl,
+    },
+    {
+        code: 'SE', domain: 'amazon.se', currency: 'SEK', tld: 'se',
+        country: 'SE', locale: 'sv-SE', timezone: 'Europe/Stockholm',
+        labels: SELLER_PAGE_LABELS.sv,
+    },
+    {
+        code: 'BE', domain: 'amazon.com.be', currency: 'EUR', tld: 'com.be',
+        country: 'BE', locale: 'fr-BE', timezone: 'Europe/Brussels',
+        labels: SELLER_PAGE_LABELS.frNl,
+    },
+    {
+        code: 'PL', domain: 'amazon.pl', currency: 'PLN', tld: 'pl',
+        country: 'PL', locale: 'pl-PL', timezone: 'Europe/Warsaw',
+        labels: SELLER_PAGE_LABELS.pl,
+    },
+    {
+        code: 'ES', domain: 'amazon.es', currency: 'EUR', tld: 'es',
+        country: 'ES', locale: 'es-ES', timezone: 'Europe/Madrid',
+        labels: SELLER_PAGE_LABELS.es,
+    },
+    {
+        code: 'IT', domain: 'amazon.it', currency: 'EUR', tld: 'it',
+        country: 'IT', locale: 'it-IT', timezone: 'Europe/Rome',
+        labels: SELLER_PAGE_LABELS.it,
+    },
+    {
+        code: 'AE', domain: 'amazon.ae', currency: 'AED', tld: 'ae',
+        country: 'AE', locale: 'en-AE', timezone: 'Asia/Dubai',
+        labels: SELLER_PAGE_LABELS.ar,
+    },
+    {
+        code: 'JP', domain: 'amazon.co.jp', currency: 'JPY', tld: 'co.jp',
+        country: 'JP', locale: 'ja-JP', timezone: 'Asia/Tokyo',
+        labels: SELLER_PAGE_LABELS.ja,
+    },
+    {
+        code: 'SA', domain: 'amazon.sa', currency: 'SAR', tld: 'sa',
+        country: 'SA', locale: 'ar-SA', timezone: 'Asia/Riyadh',
+        labels: SELLER_PAGE_LABELS.ar,
+    },
+    {
+        code: 'TR', domain: 'amazon.com.tr', currency: 'TRY', tld: 'com.tr',
+        country: 'TR', locale: 'tr-TR', timezone: 'Europe/Istanbul',
+        labels: SELLER_PAGE_LABELS.tr,
+    },
+    {
+        code: 'US', domain: 'amazon.com', currency: 'USD', tld: 'com',
+        country: 'US', locale: 'en-US', timezone: 'America/New_York',
+        labels: SELLER_PAGE_LABELS.en,
+    },
+    {
+        code: 'CA', domain: 'amazon.ca', currency: 'CAD', tld: 'ca',
+        country: 'CA', locale: 'en-CA', timezone: 'America/Toronto',
+        labels: SELLER_PAGE_LABELS.fr,
+    },
+    {
+        code: 'FR', domain: 'amazon.fr', currency: 'EUR', tld: 'fr',
+        country: 'FR', locale: 'fr-FR', timezone: 'Europe/Paris',
+        labels: SELLER_PAGE_LABELS.fr,
+    },
+    {
+        code: 'MX', domain: 'amazon.com.mx', currency: 'MXN', tld: 'com.mx',
+        country: 'MX', locale: 'es-MX', timezone: 'America/Mexico_City',
+        labels: SELLER_PAGE_LABELS.es,
+    },
+    {
+        code: 'BR', domain: 'amazon.com.br', currency: 'BRL', tld: 'com.br',
+        country: 'BR', locale: 'pt-BR', timezone: 'America/Sao_Paulo',
+        labels: SELLER_PAGE_LABELS.pt,
+    },
+    {
+        code: 'AU', domain: 'amazon.com.au', currency: 'AUD', tld: 'com.au',
+        country: 'AU', locale: 'en-AU', timezone: 'Australia/Sydney',
+        labels: SELLER_PAGE_LABELS.en,
+    },
+    {
+        code: 'IN', domain: 'amazon.in', currency: 'INR', tld: 'in',
+        country: 'IN', locale: 'en-IN', timezone: 'Asia/Kolkata',
+        labels: SELLER_PAGE_LABELS.en,
+    },
+    {
+        code: 'SG', domain: 'amazon.sg', currency: 'SGD', tld: 'sg',
+        country: 'SG', locale: 'en-SG', timezone: 'Asia/Singapore',
+        labels: SELLER_PAGE_LABELS.en,
+    },
+    {
+        code: 'EG', domain: 'amazon.eg', currency: 'EGP', tld: 'eg',
+        country: 'EG', locale: 'ar-EG', timezone: 'Africa/Cairo',
+        labels: SELLER_PAGE_LABELS.ar,
+    },
 ];
 
-export const AMAZON_SELLER_NAMES = [
+// Amazon's own merchant IDs per marketplace: the retail seller and its
+// Warehouse / Resale outlet. Matched across marketplaces, since Amazon also
+// sells cross-border (e.g. the amazon.com retail ID on amazon.ca).
+export const AMAZON_MERCHANT_IDS = {
+    UK: { amazon: ['A3P5ROKL5A1OLE'], warehouse: ['A2OAJ7377F756P'] },
+    DE: { amazon: ['A3JWKAKR8XB7XF'], warehouse: ['A8KICS1PHF7ZO'] },
+    FR: { amazon: ['A1X6FK5RDHNB96'], warehouse: ['A2CVHYRTWLQO9T'] },
+    IT: { amazon: ['A11IL2PNWYJU7H'], warehouse: ['A1HO9729ND375Y'] },
+    ES: { amazon: ['A1AT7YVPFBWXBL'], warehouse: ['A6T89FGPU3U0Q'] },
+    NL: { amazon: ['A17D2BRD4YMT0X'], warehouse: [] },
+    SE: { amazon: ['ANU9KP01APNAG'], warehouse: [] },
+    US: { amazon: ['ATVPDKIKX0DER'], warehouse: ['A2L77EE7U53NWQ'] },
+    CA: { amazon: ['A3DWYIK6Y9EEQB'], warehouse: [] },
+    MX: { amazon: ['AVDBXBAVVSXLQ'], warehouse: [] },
+    JP: { amazon: ['AN1VRQENFRJN5'], warehouse: [] },
+    AU: { amazon: ['ANEGB3WVEVKZB'], warehouse: [] },
+};
+
+// Seller names of Amazon entities, compared after normalization (see seller-category.js)
+export const AMAZON_ENTITY_NAMES = [
     'amazon', 'amazon.co.uk', 'amazon.de', 'amazon.fr', 'amazon.it',
     'amazon.es', 'amazon.nl', 'amazon.pl', 'amazon.se', 'amazon.com.be',
     'amazon.ie', 'amazon.ae', 'amazon.co.jp', 'amazon.sa', 'amazon.com.tr',
-    'amazon uk', 'amazon eu s.a.r.l.', 'amazon eu', 'amazon europe',
+    'amazon.com', 'amazon.ca', 'amazon.com.mx', 'amazon.com.br', 'amazon.com.au',
+    'amazon.in', 'amazon.sg', 'amazon.eg',
+    'amazon uk', 'amazon us', 'amazon eu s.a.r.l.', 'amazon eu s.à r.l.', 'amazon eu', 'amazon europe',
+    'amazon media eu s.à r.l.', 'amazon media eu', 'amazon services europe s.à r.l.',
+    'amazon.com services llc', 'amazon.com services, inc.', 'amazon export sales llc',
+    'amazon japan g.k.', 'amazon japan', 'amazon.co.jp, amazon japan g.k.',
+    'amazon.com.ca, inc.', 'amazon mexico services', 'amazon servicos de varejo do brasil ltda.',
+    'amazon commercial services pty ltd', 'amazon asia-pacific resources private limited',
+    'amazon.sg retail', 'amazon retail india private limited',
+    'أمازون', 'امازون',
 ];
 
+export const AMAZON_WAREHOUSE_NAMES = [
+    'warehouse deals', 'amazon warehouse', 'amazon warehouse deals', 'amazon resale',
+    'amazon retourenkauf', 'amazon seconde main', 'amazon segunda mano', 'amazon seconda mano',
+];
+
+// Offer condition filter -> value used in the offer listing URL
+export const OFFER_CONDITIONS = {
+    new: 'NEW',
+    used: 'USED',
+    all: 'ALL', // ref tag only: "all" sends no condition filter
+};
+
 export const SELECTORS = {
     // Product page
     PRIMARY_SELLER_LINK: '#sellerProfileTriggerId',
@@ -31,8 +173,13 @@ export const SELECTORS = {
     // All Offers Display panel
     AOD_OFFER_LIST: '#aod-offer-list',
     AOD_OFFER: '#aod-offer',
+    AOD_PINNED_OFFER: '#aod-pinned-offer',
+    AOD_SCROLLER: '#all-offers-display-scroller',
+    AOD_SHOW_MORE: '#aod-show-more-offers, #aod-pagination a, [data-action="aod-show-more-offers"]',
     SELLER_LINK_IN_OFFER: 'a[href*="/gp/aag/main"]',
 
     // Seller profile page
     SELLER_NAME_HEADING: 'h1',
+    FEEDBACK_ROW: '.feedback-row',
+    FEEDBACK_NEXT: '#feedback-next-link:not(.a-disabled), #feedback-pagination .a-last:not(.a-disabled) a',
 };
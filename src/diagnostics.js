@@ -0,0 +1,96 @@
+import { Actor } from 'apify';
+
+// Outcome of one ASIN × marketplace attempt
+export const ATTEMPT_STATUS = {
+    OK: 'ok',
+    NOT_FOUND: 'not_found', // product not listed on the marketplace
+    NO_OFFERS: 'no_offers', // page loaded, but no seller found
+    // Blocked after all session rotations, one status per block type (see blocking.js)
+    CAPTCHA: 'captcha',
+    SERVICE_UNAVAILABLE: 'service_unavailable',
+    ROBOT_CHECK: 'robot_check',
+    TIMEOUT: 'timeout',
+    NETWORK_ERROR: 'network_error', // connection or proxy failure, no page to parse
+    PARSE_FAILED: 'parse_failed',
+};
+
+// Keyed by the BLOCK_TYPES values of blocking.js
+const BLOCK_STATUS = {
+    captcha: ATTEMPT_STATUS.CAPTCHA,
+    service_unavailable: ATTEMPT_STATUS.SERVICE_UNAVAILABLE,
+    robot_check: ATTEMPT_STATUS.ROBOT_CHECK,
+};
+
+// Chromium net errors and Node socket errors, including those raised by the proxy
+const NETWORK_ERROR_PATTERN = /net::ERR_|ECONN(?:RESET|REFUSED|ABORTED)|ENOTFOUND|EAI_AGAIN|EPIPE|socket hang up|proxy|tunnel/i;
+
+/**
+ * Status for a request that failed after all retries.
+ */
+export function failureStatus(err, blockType) {
+    if (blockType) return BLOCK_STATUS[blockType] ?? ATTEMPT_STATUS.CAPTCHA;
+    const message = err?.message ?? '';
+    if (err?.name === 'TimeoutError' || /timed? ?out/i.test(message)) return ATTEMPT_STATUS.TIMEOUT;
+    if (NETWORK_ERROR_PATTERN.test(message)) return ATTEMPT_STATUS.NETWORK_ERROR;
+    return ATTEMPT_STATUS.PARSE_FAILED;
+}
+
+/**
+ * Save a screenshot and the HTML of a page to the default key-value store as
+ * `<key>-screenshot` and `<key>-html`. Returns the keys actually written.
+ */
+export async function saveFailureSnapshot(page, key) {
+    const safeKey = key.replace(/[^a-zA-Z0-9!\-_.'()]/g, '_');
+    const [screenshot, html] = await Promise.all([
+        page.screenshot({ fullPage: true, type: 'jpeg', quality: 60, timeout: 15000 }).catch(() => null),
+        page.content().catch(() => null),
+    ]);
+
+    const keys = { screenshotKey: null, htmlKey: null };
+    if (screenshot) {
+        keys.screenshotKey = `${safeKey}-screenshot`;
+        await Actor.setValue(keys.screenshotKey, screenshot, { contentType: 'image/jpeg' });
+    }
+    if (html) {
+        keys.htmlKey = `${safeKey}-html`;
+        await Actor.setValue(keys.htmlKey, html, { contentType: 'text/html; charset=utf-8' });
+    }
+    return keys;
+}
+
+/**
+ * Build the status record of one ASIN × marketplace attempt. Timings are
+ * measured from the navigation start (set by the pre-navigation hook) and
+ * `loadedAt` (when the request handler started, if it did).
+ */
+export function buildAttemptRecord(request, marketplace, { status, loadedAt = null, ...details }) {
+    const finishedAt = Date.now();
+    const { navigationStartedAt = null } = request.userData;
+
+    return {
+        asin: request.userData.asin,
+        marketplace: marketplace.code,
+        marketplaceDomain: marketplace.domain,
+        status,
+        url: request.url,
+        finalUrl: null,
+        pageTitle: null,
+        matchedSelector: null,
+        sellerCount: 0,
+        offerCount: 0,
+        blockType: null,
+        error: null,
+        retryCount: request.retryCount,
+        errorMessages: request.errorMessages ?? [],
+        timings: {
+            navigationMs: loadedAt && navigationStartedAt ? loadedAt - navigationStartedAt : null,
+            extractionMs: loadedAt ? finishedAt - loadedAt : null,
+            totalMs: navigationStartedAt ? finishedAt - navigationStartedAt : null,
+        },
+        debugInfo: null,
+        screenshotKey: null,
+        htmlKey: null,
+        ...details,
+        attemptedAt: new Date(finishedAt).toISOString(),
+    };
+}
@@ -0,0 +1,270 @@
+import { Actor } from 'apify';
+import { MARKETPLACES, OFFER_CONDITIONS } from './constants.js';
+import { asinFromUrl, marketplaceFromUrl } from './scraper.js';
+
+/**
+ * Input validation and ASIN sources.
+ *
+ * validateInput() checks the whole input up front and fails the run with every
+ * problem listed, instead of silently doing no work. loadAsinTargets() merges
+ * the ASIN sources (plain ASINs, product URLs, a CSV file, another run's
+ * dataset) into one map of ASIN -> marketplaces to check.
+ */
+
+const ASIN_PATTERN = /^[A-Z0-9]{10}$/;
+const MARKETPLACE_CODES = MARKETPLACES.map(m => m.code);
+
+const NON_NEGATIVE_INTEGERS = [
+    'maxStorefrontPages', 'maxStorefrontAsins', 'maxDiscoveryPages', 'maxAsins', 'delayBetweenRequests',
+    'maxBlockRetries', 'blockBackoffMs', 'maxOffersPerListing', 'maxFeedbackEntries',
+];
+const POSITIVE_INTEGERS = ['maxConcurrency'];
+// Feedback pages are read within the profile page's request handler timeout
+const MAX_FEEDBACK_ENTRIES = 100;
+const NON_NEGATIVE_NUMBERS = ['sellerCacheTtlDays', 'ratingAlertThreshold'];
+const STRING_LISTS = [
+    'asins', 'productUrls', 'sellerIds', 'sellerUrls', 'searchKeywords', 'categoryUrls', 'bestsellerUrls', 'marketplaces',
+];
+
+/**
+ * Validate the actor input. Returns a copy with ASINs and marketplace codes
+ * trimmed and upper-cased; throws one error listing every problem found.
+ */
+export function validateInput(input) {
+    const errors = [];
+    const normalized = { ...input };
+
+    for (const key of STRING_LISTS) {
+        const value = input[key];
+        if (value === undefined || value === null) continue;
+        if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+            errors.push(`"${key}" must be an array of strings`);
+            delete normalized[key];
+        }
+    }
+
+    const checkMarketplaces = (codes, where) => {
+        const upper = codes.map(c => c.trim().toUpperCase());
+        const unknown = upper.filter(c => !MARKETPLACE_CODES.includes(c));
+        if (unknown.length > 0) {
+            errors.push(`Unknown marketplace code(s) ${unknown.map(c => `"${c}"`).join(', ')} in ${where}, `
+                + `expected: ${MARKETPLACE_CODES.join(', ')}`);
+        }
+        return upper;
+    };
+
+    if (normalized.asins) {
+        normalized.asins = normalized.asins.map(a => a.trim().toUpperCase());
+        const malformed = normalized.asins.filter(a => !ASIN_PATTERN.test(a));
+        if (malformed.length > 0) {
+            errors.push(`Malformed ASIN(s) in "asins": ${malformed.map(a => `"${a}"`).join(', ')} (expected 10 letters/digits)`);
+        }
+    }
+    if (normalized.marketplaces) normalized.marketplaces = checkMarketplaces(normalized.marketplaces, '"marketplaces"');
+
+    for (const url of normalized.productUrls ?? []) {
+        if (!asinFromUrl(url) || !marketplaceFromUrl(url)) {
+            errors.push(`"productUrls" entry is not a product URL on a supported marketplace: ${url}`);
+        }
+    }
+
+    if (input.asinMarketplaces !== undefined) {
+        if (!input.asinMarketplaces || typeof input.asinMarketplaces !== 'object' || Array.isArray(input.asinMarketplaces)) {
+            errors.push('"asinMarketplaces" must be an object like { "B07YDVWL4J": ["DE", "UK"] }');
+        } else {
+            normalized.asinMarketplaces = {};
+            for (const [asin, codes] of Object.entries(input.asinMarketplaces)) {
+                const key = asin.trim().toUpperCase();
+                if (!ASIN_PATTERN.test(key)) errors.push(`Malformed ASIN "${asin}" in "asinMarketplaces"`);
+                if (!Array.isArray(codes) || codes.some(c => typeof c !== 'string')) {
+                    errors.push(`"asinMarketplaces.${asin}" must be an array of marketplace codes`);
+                    continue;
+                }
+                normalized.asinMarketplaces[key] = checkMarketplaces(codes, `"asinMarketplaces.${asin}"`);
+            }
+        }
+    }
+
+    if (input.domainDelays !== undefined) {
+        normalized.domainDelays = Object.fromEntries(Object.entries(input.domainDelays ?? {})
+            .map(([code, ms]) => [code.trim().toUpperCase(), ms]));
+        checkMarketplaces(Object.keys(normalized.domainDelays), '"domainDelays"');
+        for (const [code, ms] of Object.entries(normalized.domainDelays)) {
+            if (!Number.isInteger(ms) || ms < 0) errors.push(`"domainDelays.${code}" must be a non-negative integer (ms)`);
+        }
+    }
+
+    for (const key of NON_NEGATIVE_INTEGERS) {
+        if (input[key] !== undefined && (!Number.isInteger(input[key]) || input[key] < 0)) {
+            errors.push(`"${key}" must be a non-negative integer`);
+        }
+    }
+    if (Number.isInteger(input.maxFeedbackEntries) && input.maxFeedbackEntries > MAX_FEEDBACK_ENTRIES) {
+        errors.push(`"maxFeedbackEntries" must be at most ${MAX_FEEDBACK_ENTRIES}`);
+    }
+    for (const key of POSITIVE_INTEGERS) {
+        if (input[key] !== undefined && (!Number.isInteger(input[key]) || input[key] < 1)) {
+            errors.push(`"${key}" must be a positive integer`);
+        }
+    }
+    for (const key of NON_NEGATIVE_NUMBERS) {
+        if (input[key] !== undefined && (typeof input[key] !== 'number' || input[key] < 0)) {
+            errors.push(`"${key}" must be a non-negative number`);
+        }
+    }
+
+    if (input.offerCondition !== undefined && !OFFER_CONDITIONS[input.offerCondition]) {
+        errors.push(`Unknown offerCondition "${input.offerCondition}", expected one of: ${Object.keys(OFFER_CONDITIONS).join(', ')}`);
+    }
+    if (input.outputSinks !== undefined && !Array.isArray(input.outputSinks)) {
+        errors.push('"outputSinks" must be an array of sink configurations');
+    }
+    for (const key of ['asinsCsvUrl', 'asinsDatasetId']) {
+        if (input[key] !== undefined && input[key] !== null && typeof input[key] !== 'string') {
+            errors.push(`"${key}" must be a string`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid input:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+    }
+    return normalized;
+}
+
+// ── ASIN Sources ───────────────────────────────────────────────────────
+/**
+ * Minimal CSV parser (quoted fields, "" escapes, comma or semicolon separated).
+ */
+export function parseCsv(text) {
+    const firstLine = text.split('\n', 1)[0];
+    const separator = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(cell.trim());
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell.trim());
+            if (row.some(Boolean)) rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell.trim());
+    if (row.some(Boolean)) rows.push(row);
+    return rows;
+}
+
+/**
+ * Turn one CSV row or dataset item ({ asin, url, marketplaces }) into
+ * { asin, marketplaces } (marketplaces null = all selected), or null if unusable.
+ */
+export function toAsinTarget({ asin, url, marketplaces }) {
+    // The ASIN column may hold a product URL as well
+    const isUrl = value => /^https?:\/\//i.test(value ?? '');
+    const productUrl = url || (isUrl(asin) ? asin : null);
+    const asinValue = (productUrl && asinFromUrl(productUrl)) || (asin && !isUrl(asin) ? asin.trim().toUpperCase() : null);
+    if (!asinValue || !ASIN_PATTERN.test(asinValue)) return null;
+
+    const codes = (Array.isArray(marketplaces) ? marketplaces : String(marketplaces ?? '').split(/[;|,\s]+/))
+        .map(c => c.trim().toUpperCase())
+        .filter(Boolean);
+    if (codes.some(c => !MARKETPLACE_CODES.includes(c))) return null;
+
+    const urlMarketplace = productUrl ? marketplaceFromUrl(productUrl) : null;
+    if (codes.length === 0 && urlMarketplace) codes.push(urlMarketplace.code);
+    return { asin: asinValue, marketplaces: codes.length > 0 ? codes : null };
+}
+
+async function asinTargetsFromCsv(url, log) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Could not download "asinsCsvUrl" (HTTP ${response.status}): ${url}`);
+    const rows = parseCsv(await response.text());
+
+    // With a header row, use its asin/url/marketplace(s) columns; otherwise the first column
+    const header = rows[0]?.map(h => h.toLowerCase()) ?? [];
+    const hasHeader = header.some(h => ['asin', 'url', 'producturl', 'marketplace', 'marketplaces'].includes(h));
+    const column = (...names) => header.findIndex(h => names.includes(h));
+    const asinCol = hasHeader ? column('asin') : 0;
+    const urlCol = hasHeader ? column('url', 'producturl') : -1;
+    const marketplaceCol = hasHeader ? column('marketplaces', 'marketplace') : -1;
+
+    const targets = [];
+    (hasHeader ? rows.slice(1) : rows).forEach((row, i) => {
+        const target = toAsinTarget({ asin: row[asinCol], url: row[urlCol], marketplaces: row[marketplaceCol] });
+        if (target) targets.push(target);
+        else log.warning(`Skipping CSV row ${i + (hasHeader ? 2 : 1)} (no valid ASIN/URL or unknown marketplace): ${row.join(', ')}`);
+    });
+    return targets;
+}
+
+async function asinTargetsFromDataset(datasetId, log) {
+    const dataset = await Actor.openDataset(datasetId);
+    const targets = [];
+    let index = 0;
+    await dataset.forEach(item => {
+        index++;
+        const target = toAsinTarget({
+            asin: item.asin ?? item.ASIN,
+            url: item.url ?? item.productUrl,
+            marketplaces: item.marketplaces ?? item.marketplace,
+        });
+        if (target) targets.push(target);
+        else log.warning(`Skipping item ${index} of dataset ${datasetId} (no valid ASIN/URL or unknown marketplace)`);
+    });
+    return targets;
+}
+
+/**
+ * Merge all ASIN sources into a map of ASIN -> marketplace codes to check
+ * (null = every selected marketplace). Product URLs only add their own
+ * marketplace; `asinMarketplaces` overrides whatever the sources said.
+ */
+export async function loadAsinTargets({ asins = [], productUrls = [], asinsCsvUrl, asinsDatasetId, asinMarketplaces = {} }, log) {
+    const targets = new Map();
+    const add = ({ asin, marketplaces }) => {
+        if (!targets.has(asin)) {
+            targets.set(asin, marketplaces ? new Set(marketplaces) : null);
+        } else if (!marketplaces) {
+            targets.set(asin, null);
+        } else if (targets.get(asin)) {
+            for (const code of marketplaces) targets.get(asin).add(code);
+        }
+    };
+
+    for (const asin of asins) add({ asin, marketplaces: null });
+    for (const url of productUrls) add({ asin: asinFromUrl(url), marketplaces: [marketplaceFromUrl(url).code] });
+
+    if (asinsCsvUrl) {
+        const csvTargets = await asinTargetsFromCsv(asinsCsvUrl, log);
+        log.info(`Loaded ${csvTargets.length} ASIN(s) from CSV ${asinsCsvUrl}`);
+        csvTargets.forEach(add);
+    }
+    if (asinsDatasetId) {
+        const datasetTargets = await asinTargetsFromDataset(asinsDatasetId, log);
+        log.info(`Loaded ${datasetTargets.length} ASIN(s) from dataset ${asinsDatasetId}`);
+        datasetTargets.forEach(add);
+    }
+
+    for (const [asin, codes] of Object.entries(asinMarketplaces)) targets.set(asin, new Set(codes));
+    return targets;
+}
@@ -0,0 +1,295 @@
+/**
+ * Localized labels used on the seller profile page (/sp?seller=...).
+ *
+ * Every locale maps the "Detailed Seller Information" heading, the field keys
+ * inside that block and the rating phrases to the canonical field names used in
+ * the output records. `taxId` collects tax identifiers other than EU-style VAT
+ * numbers (GSTIN in India, CNPJ in Brazil, RFC in Mexico, ABN in Australia,
+ * ...). Rating patterns are regex sources (they have to survive serialization
+ * into page.evaluate) with exactly one capture group; rater patterns split a
+ * feedback entry's rater line into named `rater` and `date` groups.
+ */
+
+const EN = {
+    detailedInfoHeadings: ['Detailed Seller Information'],
+    fields: {
+        businessName: ['Business Name'],
+        businessType: ['Business Type'],
+        tradeRegisterNumber: ['Trade Register Number', 'Trade Registry Number', 'Commercial Registration Number'],
+        vatNumber: ['VAT Number', 'VAT Registration Number'],
+        phoneNumber: ['Phone number'],
+        email: ['Email'],
+        businessAddress: ['Business Address'],
+        customerServiceAddress: ['Customer Services Address', 'Customer Service Address'],
+        customerServicePhone: ['Customer Service Phone'],
+        taxId: ['GSTIN', 'GST Number', 'GST Registration Number', 'PAN', 'ABN', 'UEN', 'Tax Registration Number', 'Tax ID'],
+    },
+    addressTerminators: ['This seller'],
+    ratingPatterns: ['([\\d.,]+)\\s*out of\\s*5\\s*stars'],
+    positivePatterns: ['(\\d+)\\s*%\\s*positive'],
+    ratingCountPatterns: ['\\((\\d[\\d,.]*)\\s*ratings?\\)'],
+    raterPatterns: ['^By\\s+(?<rater>.+?)\\s+on\\s+(?<date>.+?)\\.?$'],
+};
+
+const DE = {
+    detailedInfoHeadings: ['Detaillierte Verkäuferinformationen', 'Detaillierte Informationen zum Verkäufer'],
+    fields: {
+        businessName: ['Geschäftsname', 'Firmenname'],
+        businessType: ['Geschäftsart', 'Unternehmensart'],
+        tradeRegisterNumber: ['Handelsregisternummer'],
+        vatNumber: ['USt-IdNr.', 'USt-IdNr', 'Umsatzsteuer-Identifikationsnummer'],
+        phoneNumber: ['Telefonnummer'],
+        email: ['E-Mail', 'E-Mail-Adresse'],
+        businessAddress: ['Geschäftsadresse'],
+        customerServiceAddress: ['Kundendienstadresse', 'Adresse des Kundendienstes'],
+        customerServicePhone: ['Telefonnummer des Kundenservice'],
+    },
+    addressTerminators: ['Dieser Verkäufer'],
+    ratingPatterns: ['([\\d.,]+)\\s*von\\s*5\\s*Sternen'],
+    positivePatterns: ['(\\d+)\\s*%\\s*positiv'],
+    ratingCountPatterns: ['\\((\\d[\\d,.]*)\\s*Bewertungen?\\)'],
+    raterPatterns: ['^Von\\s+(?<rater>.+?)\\s+am\\s+(?<date>.+?)\\.?$'],
+};
+
+const FR = {
+    detailedInfoHeadings: ['Informations détaillées sur le vendeur'],
+    fields: {
+        businessName: ['Nom commercial', 'Nom de l\'entreprise'],
+        businessType: ['Type d\'entreprise', 'Type d\'activité'],
+        tradeRegisterNumber: ['Numéro du registre du commerce', 'Numéro de registre du commerce', 'SIRET', 'SIREN'],
+        vatNumber: ['Numéro de TVA', 'Numéro de TVA intracommunautaire'],
+        phoneNumber: ['Numéro de téléphone'],
+        email: ['E-mail', 'Adresse e-mail'],
+        businessAddress: ['Adresse commerciale', 'Adresse de l\'entreprise'],
+        customerServiceAddress: ['Adresse du service client'],
+        customerServicePhone: ['Téléphone du service client'],
+    },
+    addressTerminators: ['Ce vendeur'],
+    ratingPatterns: ['([\\d.,]+)\\s*sur\\s*5\\s*étoiles'],
+    positivePatterns: ['(\\d+)\\s*%\\s*positi'],
+    ratingCountPatterns: ['\\((\\d[\\d\\s,.]*)\\s*évaluations?\\)'],
+    raterPatterns: ['^Par\\s+(?<rater>.+?)\\s+le\\s+(?<date>.+?)\\.?$'],
+};
+
+const ES = {
+    detailedInfoHeadings: ['Información detallada del vendedor'],
+    fields: {
+        businessName: ['Nombre de la empresa', 'Nombre comercial'],
+        businessType: ['Tipo de empresa'],
+        tradeRegisterNumber: ['Número de registro mercantil'],
+        vatNumber: ['Número de IVA', 'NIF/CIF'],
+        phoneNumber: ['Número de teléfono'],
+        email: ['Correo electrónico'],
+        businessAddress: ['Dirección de la empresa', 'Dirección comercial'],
+        customerServiceAddress: ['Dirección del servicio de atención al cliente'],
+        customerServicePhone: ['Teléfono de atención al cliente'],
+        taxId: ['RFC'],
+    },
+    addressTerminators: ['Este vendedor'],
+    ratingPatterns: ['([\\d.,]+)\\s*de\\s*5\\s*estrellas'],
+    positivePatterns: ['(\\d+)\\s*%\\s*positiv'],
+    ratingCountPatterns: ['\\((\\d[\\d,.]*)\\s*(?:valoraciones|calificaciones)\\)'],
+    raterPatterns: ['^Por\\s+(?<rater>.+?)\\s+el\\s+(?<date>.+?)\\.?$'],
+};
+
+const IT = {
+    detailedInfoHeadings: ['Informazioni dettagliate sul venditore'],
+    fields: {
+        businessName: ['Nome dell\'azienda', 'Nome commerciale', 'Ragione sociale'],
+        businessType: ['Tipo di attività', 'Tipo di azienda'],
+        tradeRegisterNumber: ['Numero di registro delle imprese', 'Numero di iscrizione al registro delle imprese'],
+        vatNumber: ['Partita IVA', 'Numero di partita IVA'],
+        phoneNumber: ['Numero di telefono'],
+        email: ['E-mail', 'Indirizzo e-mail'],
+        businessAddress: ['Indirizzo dell\'azienda', 'Indirizzo commerciale'],
+        customerServiceAddress: ['Indirizzo del servizio clienti'],
+        customerServicePhone: ['Telefono del servizio clienti'],
+    },
+    addressTerminators: ['Questo venditore'],
+    ratingPatterns: ['([\\d.,]+)\\s*su\\s*5\\s*stelle'],
+    positivePatterns: ['(\\d+)\\s*%\\s*positiv'],
+    ratingCountPatterns: ['\\((\\d[\\d,.]*)\\s*valutazioni\\)'],
+    raterPatterns: ['^(?:Di|Da)\\s+(?<rater>.+?)\\s+il\\s+(?<date>.+?)\\.?$'],
+};
+
+const NL = {
+    detailedInfoHeadings: ['Gedetailleerde verkopersinformatie', 'Gedetailleerde informatie over de verkoper'],
+    fields: {
+        businessName: ['Bedrijfsnaam'],
+        businessType: ['Bedrijfstype', 'Type bedrijf'],
+        tradeRegisterNumber: ['Handelsregisternummer', 'KvK-nummer'],
+        vatNumber: ['Btw-nummer', 'BTW-nummer'],
+        phoneNumber: ['Telefoonnummer'],
+        email: ['E-mailadres', 'E-mail'],
+        businessAddress: ['Bedrijfsadres'],
+        customerServiceAddress: ['Adres klantenservice'],
+        customerServicePhone: ['Telefoonnummer klantenservice'],
+    },
+    addressTerminators: ['Deze verkoper'],
+    ratingPatterns: ['([\\d.,]+)\\s*van\\s*5\\s*sterren'],
+    positivePatterns: ['(\\d+)\\s*%\\s*positief'],
+    ratingCountPatterns: ['\\((\\d[\\d,.]*)\\s*beoordelingen\\)'],
+    raterPatterns: ['^Door\\s+(?<rater>.+?)\\s+op\\s+(?<date>.+?)\\.?$'],
+};
+
+const PL = {
+    detailedInfoHeadings: ['Szczegółowe informacje o sprzedawcy'],
+    fields: {
+        businessName: ['Nazwa firmy'],
+        businessType: ['Rodzaj działalności', 'Typ działalności'],
+        tradeRegisterNumber: ['Numer w rejestrze handlowym', 'Numer KRS'],
+        vatNumber: ['Numer VAT', 'NIP'],
+        phoneNumber: ['Numer telefonu'],
+        email: ['E-mail', 'Adres e-mail'],
+        businessAddress: ['Adres firmy'],
+        customerServiceAddress: ['Adres obsługi klienta'],
+        customerServicePhone: ['Telefon obsługi klienta'],
+    },
+    addressTerminators: ['Ten sprzedawca'],
+    ratingPatterns: ['([\\d.,]+)\\s*na\\s*5\\s*gwiazd'],
+    positivePatterns: ['(\\d+)\\s*%\\s*pozytywn'],
+    ratingCountPatterns: ['\\((\\d[\\d\\s,.]*)\\s*ocen\\)'],
+    raterPatterns: ['^Przez\\s+(?<rater>.+?)\\s+dnia\\s+(?<date>.+?)\\.?$'],
+};
+
+const SV = {
+    detailedInfoHeadings: ['Detaljerad säljarinformation', 'Detaljerad information om säljaren'],
+    fields: {
+        businessName: ['Företagsnamn'],
+        businessType: ['Företagstyp'],
+        tradeRegisterNumber: ['Handelsregisternummer', 'Organisationsnummer'],
+        vatNumber: ['Momsregistreringsnummer', 'Momsnummer'],
+        phoneNumber: ['Telefonnummer'],
+        email: ['E-post', 'E-postadress'],
+        businessAddress: ['Företagsadress'],
+        customerServiceAddress: ['Kundtjänstadress'],
+        customerServicePhone: ['Kundtjänstens telefonnummer'],
+    },
+    addressTerminators: ['Den här säljaren'],
+    ratingPatterns: ['([\\d.,]+)\\s*av\\s*5\\s*stjärnor'],
+    positivePatterns: ['(\\d+)\\s*%\\s*positiv'],
+    ratingCountPatterns: ['\\((\\d[\\d\\s,.]*)\\s*betyg\\)'],
+    raterPatterns: ['^Av\\s+(?<rater>.+?)\\s+den\\s+(?<date>.+?)\\.?$'],
+};
+
+const PT = {
+    detailedInfoHeadings: ['Informações detalhadas do vendedor'],
+    fields: {
+        businessName: ['Nome da empresa', 'Razão social'],
+        businessType: ['Tipo de empresa'],
+        tradeRegisterNumber: ['Número de registro comercial'],
+        phoneNumber: ['Número de telefone', 'Telefone'],
+        email: ['E-mail'],
+        businessAddress: ['Endereço comercial', 'Endereço da empresa'],
+        customerServiceAddress: ['Endereço do atendimento ao cliente'],
+        customerServicePhone: ['Telefone de atendimento ao cliente'],
+        taxId: ['CNPJ', 'CPF'],
+    },
+    addressTerminators: ['Este vendedor'],
+    ratingPatterns: ['([\\d.,]+)\\s*de\\s*5\\s*estrelas'],
+    positivePatterns: ['(\\d+)\\s*%\\s*positiv'],
+    ratingCountPatterns: ['\\((\\d[\\d,.]*)\\s*avaliações\\)'],
+    raterPatterns: ['^Por\\s+(?<rater>.+?)\\s+em\\s+(?<date>.+?)\\.?$'],
+};
+
+const TR = {
+    detailedInfoHeadings: ['Ayrıntılı Satıcı Bilgileri', 'Detaylı Satıcı Bilgileri'],
+    fields: {
+        businessName: ['İşletme Adı', 'Ticari Unvan'],
+        businessType: ['İşletme Türü'],
+        tradeRegisterNumber: ['Ticaret Sicil Numarası', 'Ticaret Sicil No'],
+        vatNumber: ['Vergi Numarası', 'Vergi Kimlik Numarası', 'KDV Numarası'],
+        phoneNumber: ['Telefon numarası', 'Telefon Numarası'],
+        email: ['E-posta', 'E-posta adresi'],
+        businessAddress: ['İşletme Adresi'],
+        customerServiceAddress: ['Müşteri Hizmetleri Adresi'],
+        customerServicePhone: ['Müşteri Hizmetleri Telefonu'],
+    },
+    addressTerminators: ['Bu satıcı'],
+    ratingPatterns: ['5\\s*yıldız üzerinden\\s*([\\d.,]+)'],
+    positivePatterns: ['%\\s*(\\d+)\\s*olumlu'],
+    ratingCountPatterns: ['\\((\\d[\\d,.]*)\\s*(?:puan|değerlendirme)\\)'],
+    raterPatterns: ['^(?<rater>.+?)\\s+tarafından\\s+(?<date>.+?)(?:\\s+tarihinde)?\\.?$'],
+};
+
+const JA = {
+    detailedInfoHeadings: ['詳細な出品者情報', '出品者の詳細情報'],
+    fields: {
+        businessName: ['販売業者', '事業者名'],
+        businessType: ['事業者の種類'],
+        tradeRegisterNumber: ['登録番号', '法人番号'],
+        vatNumber: ['適格請求書発行事業者登録番号'],
+        phoneNumber: ['電話番号'],
+        email: ['メールアドレス'],
+        businessAddress: ['住所', '事業者の住所'],
+        customerServiceAddress: ['カスタマーサービスの住所'],
+        customerServicePhone: ['お問い合わせ先電話番号'],
+    },
+    addressTerminators: ['この出品者'],
+    ratingPatterns: ['5つ星のうち\\s*([\\d.]+)'],
+    positivePatterns: ['(\\d+)\\s*%\\s*(?:の)?(?:肯定的|高い評価)'],
+    ratingCountPatterns: ['\\((\\d[\\d,]*)\\s*件の評価\\)'],
+    raterPatterns: [
+        '^評価者[:：]\\s*(?<rater>.+?)\\s*[、,]\\s*(?<date>\\d{4}年\\d{1,2}月\\d{1,2}日)$',
+        '^(?<date>\\d{4}年\\d{1,2}月\\d{1,2}日)\\s*[、,]?\\s*評価者[:：]\\s*(?<rater>.+)$',
+    ],
+};
+
+const AR = {
+    detailedInfoHeadings: ['معلومات البائع التفصيلية', 'معلومات تفصيلية عن البائع'],
+    fields: {
+        businessName: ['اسم النشاط التجاري', 'الاسم التجاري'],
+        businessType: ['نوع النشاط التجاري'],
+        tradeRegisterNumber: ['رقم السجل التجاري'],
+        vatNumber: ['رقم ضريبة القيمة المضافة', 'الرقم الضريبي'],
+        phoneNumber: ['رقم الهاتف'],
+        email: ['البريد الإلكتروني'],
+        businessAddress: ['عنوان النشاط التجاري'],
+        customerServiceAddress: ['عنوان خدمة العملاء'],
+        customerServicePhone: ['هاتف خدمة العملاء', 'رقم هاتف خدمة العملاء'],
+        taxId: ['رقم التسجيل الضريبي', 'رقم البطاقة الضريبية'],
+    },
+    addressTerminators: ['هذا البائع'],
+    ratingPatterns: ['([\\d.,٫]+)\\s*من\\s*5\\s*نجوم'],
+    positivePatterns: ['(\\d+)\\s*%\\s*إيجابي'],
+    ratingCountPatterns: ['\\((\\d[\\d,.]*)\\s*تقييمات?\\)'],
+    raterPatterns: ['^بواسطة\\s+(?<rater>.+?)\\s+في\\s+(?<date>.+?)\\.?$'],
+};
+
+/**
+ * Merge locale dictionaries in priority order. English is always appended as a
+ * fallback because every marketplace can serve the page in English too.
+ */
+function mergeLabels(...locales) {
+    const all = [...locales, EN];
+    const fields = {};
+    for (const field of Object.keys(EN.fields)) {
+        fields[field] = [...new Set(all.flatMap(l => l.fields[field] || []))];
+    }
+    const collect = key => [...new Set(all.flatMap(l => l[key] || []))];
+    return {
+        detailedInfoHeadings: collect('detailedInfoHeadings'),
+        fields,
+        addressTerminators: collect('addressTerminators'),
+        ratingPatterns: collect('ratingPatterns'),
+        positivePatterns: collect('positivePatterns'),
+        ratingCountPatterns: collect('ratingCountPatterns'),
+        raterPatterns: collect('raterPatterns'),
+    };
+}
+
+export const SELLER_PAGE_LABELS = {
+    en: mergeLabels(),
+    de: mergeLabels(DE),
+    fr: mergeLabels(FR),
+    es: mergeLabels(ES),
+    pt: mergeLabels(PT),
+    it: mergeLabels(IT),
+    nl: mergeLabels(NL),
+    pl: mergeLabels(PL),
+    sv: mergeLabels(SV),
+    tr: mergeLabels(TR),
+    ja: mergeLabels(JA),
+    ar: mergeLabels(AR),
+    frNl: mergeLabels(FR, NL),
+};
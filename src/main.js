@@ -1,8 +1,28 @@
 import { Actor, log } from 'apify';
+import { PlaywrightCrawler } from 'crawlee';
 import { chromium } from 'playwright-extra';
 import StealthPlugin from 'puppeteer-extra-plugin-stealth';
 import { MARKETPLACES } from './constants.js';
-import { scrapeAsinOnMarketplace, delay } from './scraper.js';
+import {
+    createFailedRequestHandler,
+    createRouter,
+    discoveryRequest,
+    offerListingRequest,
+    sellerProfileRequest,
+    storefrontRequest,
+    LABELS,
+} from './routes.js';
+import { categorySearchUrl, marketplaceFromUrl, searchUrl, sellerIdFromUrl } from './scraper.js';
+import { openSellerCache } from './seller-cache.js';
+import { loadRunState, marketplaceStats, persistRunState, offerKey } from './state.js';
+import { createDomainThrottle } from './throttle.js';
+import { blockBackoff, createBlockCheckHook, createCaptchaSolver } from './blocking.js';
+import { applyMarketplaceLocale, createMarketplaceProxyConfiguration } from './proxy.js';
+import { saveConsolidatedSellers } from './consolidate.js';
+import { detectChanges } from './monitor.js';
+import { createOutputSinks } from './sinks.js';
+import { createRecorderHook, createReplayHook } from './replay.js';
+import { loadAsinTargets, validateInput } from './input.js';
 
 // Apply stealth plugin
 chromium.use(StealthPlugin());
@@ -10,112 +30,432 @@ chromium.use(StealthPlugin());
 await Actor.init();
 
 // ── Input ──────────────────────────────────────────────────────────────
-const input = await Actor.getInput() ?? {};
+// Validated against the same rules as INPUT_SCHEMA.json; invalid input fails the run with every problem listed
+let input;
+try {
+    input = validateInput(await Actor.getInput() ?? {});
+} catch (err) {
+    await Actor.fail(err.message);
+}
 const {
-    asins = ['B07YDVWL4J'],
+    asins: inputAsins,
+    productUrls = [],
+    asinsCsvUrl = null,
+    asinsDatasetId = null,
+    asinMarketplaces = {},
+    sellerIds = [],
+    sellerUrls = [],
+    crawlStorefronts = false,
+    maxStorefrontPages = 5,
+    maxStorefrontAsins = 50,
+    searchKeywords = [],
+    categoryUrls = [],
+    bestsellerUrls = [],
+    maxDiscoveryPages = 3,
+    maxBlockRetries = 5,
+    blockBackoffMs = 5000,
+    captchaSolver = 'none',
+    captchaStubAnswer = '',
+    proxyConfiguration: proxyInput,
+    proxyCountryPerMarketplace = true,
+    matchMarketplaceLocale = true,
     maxAsins = 0,
     marketplaces: selectedMarketplaces = [],
     delayBetweenRequests = 3000,
+    domainDelays = {},
+    maxConcurrency = 5,
     skipAmazonSellers = true,
+    sellerCacheTtlDays = 0,
+    offerCondition = 'new',
+    expandOffers = false,
+    maxOffersPerListing = 100,
+    consolidateSellers = true,
+    monitoring = false,
+    monitoringStoreName = 'seller-monitor',
+    ratingAlertThreshold = 0,
+    outputSinks: sinkConfigs = [],
+    replaySnapshotsDir = null,
+    recordSnapshotsDir = null,
+    saveFailureSnapshots = true,
+    maxFeedbackEntries = 0,
 } = input;
 
-// Determine which ASINs to process
-const asinsToProcess = maxAsins > 0 ? asins.slice(0, maxAsins) : asins;
+// Without any ASIN, seller or discovery input, fall back to the example ASIN
+const hasOtherSources = [productUrls, sellerIds, sellerUrls, searchKeywords, categoryUrls, bestsellerUrls]
+    .some(l => l.length > 0) || !!asinsCsvUrl || !!asinsDatasetId || Object.keys(asinMarketplaces).length > 0;
+const asins = inputAsins ?? (hasOtherSources ? [] : ['B07YDVWL4J']);
+
+const solver = createCaptchaSolver(captchaSolver, { stubAnswer: captchaStubAnswer });
+const outputSinks = createOutputSinks(sinkConfigs, { log });
 
 // Determine which marketplaces to scrape
 const marketplacesToScrape = selectedMarketplaces.length > 0
     ? MARKETPLACES.filter(m => selectedMarketplaces.includes(m.code))
     : MARKETPLACES;
 
+// Determine which ASINs to process, and where: ASIN -> marketplace codes (null = all selected).
+// Marketplaces given per ASIN are limited to the selected ones.
+const asinTargets = await loadAsinTargets({ asins, productUrls, asinsCsvUrl, asinsDatasetId, asinMarketplaces }, log);
+const allAsins = [...asinTargets.keys()];
+const asinsToProcess = maxAsins > 0 ? allAsins.slice(0, maxAsins) : allAsins;
+const marketplacesForAsin = asin => {
+    const codes = asinTargets.get(asin);
+    return codes ? marketplacesToScrape.filter(m => codes.has(m.code)) : marketplacesToScrape;
+};
+const outOfScopeAsins = asinsToProcess.filter(asin => marketplacesForAsin(asin).length === 0);
+if (outOfScopeAsins.length > 0) {
+    log.warning(`Skipping ${outOfScopeAsins.length} ASIN(s) listed only for marketplaces outside "marketplaces": `
+        + outOfScopeAsins.join(', '));
+}
+
+// Seller-centric targets: IDs on every selected marketplace, URLs on their own marketplace
+const sellerTargets = new Map(); // "MK-sellerId" -> { sellerId, marketplace }
+for (const sellerId of sellerIds) {
+    for (const marketplace of marketplacesToScrape) {
+        sellerTargets.set(`${marketplace.code}-${sellerId}`, { sellerId, marketplace });
+    }
+}
+for (const url of sellerUrls) {
+    const marketplace = marketplaceFromUrl(url);
+    const sellerId = sellerIdFromUrl(url);
+    if (!marketplace || !sellerId) {
+        log.warning(`Skipping seller URL (unknown marketplace or no seller ID): ${url}`);
+        continue;
+    }
+    sellerTargets.set(`${marketplace.code}-${sellerId}`, { sellerId, marketplace });
+}
+
+// Discovery listings: keywords on every selected marketplace, URLs on their own marketplace
+const discoveryRequests = [];
+for (const keyword of searchKeywords) {
+    for (const marketplace of marketplacesToScrape) {
+        discoveryRequests.push(discoveryRequest(searchUrl(keyword, marketplace), LABELS.SEARCH, marketplace,
+            { source: 'keyword', query: keyword }));
+    }
+}
+for (const [urls, label, source] of [[categoryUrls, LABELS.SEARCH, 'category'], [bestsellerUrls, LABELS.BESTSELLERS, 'bestsellers']]) {
+    for (const url of urls) {
+        const marketplace = marketplaceFromUrl(url);
+        if (!marketplace) {
+            log.warning(`Skipping ${source} URL (unknown marketplace): ${url}`);
+            continue;
+        }
+        const listingUrl = source === 'category' ? categorySearchUrl(url) : url;
+        discoveryRequests.push(discoveryRequest(listingUrl, label, marketplace, { source, query: url }));
+    }
+}
+
 log.info('=== Amazon Seller Scraper ===');
-log.info(`ASINs to process: ${asinsToProcess.length}`);
+log.info(`ASINs to process: ${asinsToProcess.length} (${asinsToProcess.filter(a => asinTargets.get(a)).length} on specific marketplaces)`);
+log.info(`Seller × marketplace targets: ${sellerTargets.size}${crawlStorefronts ? ` (storefronts: up to ${maxStorefrontPages} page(s), ${maxStorefrontAsins} ASIN(s))` : ''}`);
+log.info(`Discovery listings: ${discoveryRequests.length} (up to ${maxDiscoveryPages} page(s) each)`);
 log.info(`Marketplaces: ${marketplacesToScrape.map(m => m.code).join(', ')}`);
-log.info(`Delay between requests: ${delayBetweenRequests}ms`);
+log.info(`Delay between requests per domain: ${delayBetweenRequests}ms`);
+log.info(`Max concurrency: ${maxConcurrency}`);
 log.info(`Skip Amazon sellers: ${skipAmazonSellers}`);
+log.info(`Proxy: ${proxyInput ? `yes${proxyCountryPerMarketplace ? ', country per marketplace' : ''}` : 'none'}`);
+log.info(`Block retries: ${maxBlockRetries} (backoff from ${blockBackoffMs}ms), CAPTCHA solver: ${solver.name}`);
+log.info(`Seller cache TTL: ${sellerCacheTtlDays} day(s)`);
+log.info(`Offer condition: ${offerCondition}`);
+log.info(`Expand offers: ${expandOffers ? `yes, up to ${maxOffersPerListing}` : 'no'}`);
+log.info(`Feedback entries per seller: ${maxFeedbackEntries}`);
+log.info(`Output sinks: ${sinkConfigs.length > 0 ? sinkConfigs.map(c => c.type).join(', ') : 'none'}`);
+if (replaySnapshotsDir) log.info(`Replaying HTML snapshots from ${replaySnapshotsDir} (no live requests)`);
+if (recordSnapshotsDir) log.info(`Recording HTML snapshots to ${recordSnapshotsDir}`);
+log.info(`Monitoring: ${monitoring ? `yes, snapshot in "${monitoringStoreName}"` : 'no'}`);
 log.info('');
 
-// ── Browser Setup ──────────────────────────────────────────────────────
-const browser = await chromium.launch({
-    headless: true,
-    args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-blink-features=AutomationControlled',
-    ],
+// ── Proxy & Browser Identity ───────────────────────────────────────────
+// Replayed pages never leave the machine, so they need no proxy
+const proxyConfiguration = replaySnapshotsDir ? undefined : await createMarketplaceProxyConfiguration(proxyInput, {
+    matchCountry: proxyCountryPerMarketplace,
 });
+const marketplaceByDomain = new Map(MARKETPLACES.map(m => [m.domain, m]));
 
-const context = await browser.newContext({
-    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
-    viewport: { width: 1366, height: 768 },
-    locale: 'en-US',
+// ── Request Pacing ─────────────────────────────────────────────────────
+// `domainDelays` is keyed by marketplace code, e.g. { "DE": 5000 }
+const throttle = createDomainThrottle({
+    defaultDelay: delayBetweenRequests,
+    delays: Object.fromEntries(MARKETPLACES
+        .filter(m => domainDelays[m.code] !== undefined)
+        .map(m => [m.domain, domainDelays[m.code]])),
 });
 
-const page = await context.newPage();
+// ── Run State ──────────────────────────────────────────────────────────
+const state = await loadRunState();
+if (state.resumed) {
+    log.info(`Resuming: ${state.completedOffers.size} ASIN × marketplace pair(s) already done, ${state.counters.totalRecords} record(s) pushed`);
+}
 
-// Only block non-essential resources (keep JS — needed for AOD panel rendering)
-await page.route('**/*.{png,jpg,jpeg,gif,svg,ico,woff,woff2,ttf,eot}', route => route.abort());
-await page.route('**/doubleclick.net/**', route => route.abort());
-await page.route('**/google-analytics.com/**', route => route.abort());
+// ── Seller Cache ───────────────────────────────────────────────────────
+const sellerCache = await openSellerCache({
+    ttlDays: sellerCacheTtlDays,
+    runStartedAt: new Date(state.startedAt).getTime(),
+    resumed: state.resumed,
+});
 
-// ── Scraping Loop ──────────────────────────────────────────────────────
-const allResults = [];
-const sellersSeen = new Map(); // sellerId -> first marketplace found
+const persistState = () => persistRunState(state);
+Actor.on('persistState', persistState);
+Actor.on('migrating', async () => {
+    await persistState();
+    await outputSinks.flush();
+});
 
-for (const asin of asinsToProcess) {
-    log.info(`\n${'='.repeat(60)}`);
-    log.info(`Processing ASIN: ${asin}`);
-    log.info(`${'='.repeat(60)}`);
+// ── Result Handling ────────────────────────────────────────────────────
+async function onSellerRecord(seller) {
+    // Records re-emitted after a restart were already pushed
+    const recordKey = `${offerKey(seller.asin, seller.marketplace)}|${seller.sellerId}`;
+    if (state.pushedRecords.has(recordKey)) return;
+    state.pushedRecords.add(recordKey);
 
-    for (const marketplace of marketplacesToScrape) {
-        try {
-            const sellers = await scrapeAsinOnMarketplace(page, asin, marketplace, {
-                skipAmazonSellers,
-                delayBetweenRequests,
-            }, log);
-
-            for (const seller of sellers) {
-                // Track cross-marketplace deduplication
-                const dedupeKey = `${seller.sellerId}`;
-                if (sellersSeen.has(dedupeKey)) {
-                    seller.firstSeenOnMarketplace = sellersSeen.get(dedupeKey);
-                    seller.isDuplicate = true;
-                } else {
-                    sellersSeen.set(dedupeKey, marketplace.code);
-                    seller.firstSeenOnMarketplace = marketplace.code;
-                    seller.isDuplicate = false;
-                }
-
-                allResults.push(seller);
-                await Actor.pushData(seller);
-            }
-        } catch (err) {
-            log.error(`[${marketplace.code}] Unexpected error for ASIN ${asin}: ${err.message}`);
-        }
+    // Track cross-marketplace deduplication
+    const dedupeKey = `${seller.sellerId}`;
+    if (state.sellersSeen.has(dedupeKey)) {
+        seller.firstSeenOnMarketplace = state.sellersSeen.get(dedupeKey);
+        seller.isDuplicate = true;
+    } else {
+        state.sellersSeen.set(dedupeKey, seller.marketplace);
+        seller.firstSeenOnMarketplace = seller.marketplace;
+        seller.isDuplicate = false;
+    }
+
+    const { counters } = state;
+    counters.totalRecords++;
+    if (seller.phoneNumber) counters.withPhone++;
+    if (seller.email) counters.withEmail++;
+    if (seller.profileFromCache) counters.fromCache++;
+    marketplaceStats(state, seller.marketplace).sellerRecords++;
+
+    await Actor.pushData(seller);
+    outputSinks.push(seller);
+}
+
+// Offers go to their own dataset, linked to seller records by sellerId
+const offersDataset = await Actor.openDataset('offers');
+
+async function onOffers(asin, marketplace, offers) {
+    const recordKey = `${offerKey(asin, marketplace.code)}|offers`;
+    if (offers.length === 0 || state.pushedRecords.has(recordKey)) return;
+    state.pushedRecords.add(recordKey);
+
+    state.counters.offers += offers.length;
+    marketplaceStats(state, marketplace.code).offers += offers.length;
+    await offersDataset.pushData(offers);
+}
 
-        // Delay between marketplace switches
-        await delay(delayBetweenRequests);
+// One status record per ASIN × marketplace attempt, in their own dataset
+const attemptsDataset = await Actor.openDataset('attempts');
+
+async function onAttempt(record) {
+    const recordKey = `${offerKey(record.asin, record.marketplace)}|attempt`;
+    if (state.pushedRecords.has(recordKey)) return;
+    state.pushedRecords.add(recordKey);
+
+    const { attempts } = marketplaceStats(state, record.marketplace);
+    attempts[record.status] = (attempts[record.status] ?? 0) + 1;
+    await attemptsDataset.pushData(record);
+}
+
+// Discovered ASINs are deduped per marketplace and count towards maxAsins
+const discoveredDataset = await Actor.openDataset('discovered-asins');
+const scheduledAsins = new Set(asinsToProcess);
+const discoveredAsins = new Set([...state.discoveredAsins].map(key => key.split('|')[0]));
+const asinBudgetLeft = () => (maxAsins > 0 ? maxAsins - scheduledAsins.size - discoveredAsins.size : Infinity);
+
+async function onDiscoveredAsins(marketplace, items) {
+    const accepted = [];
+    for (const item of items) {
+        const key = offerKey(item.asin, marketplace.code);
+        if (state.discoveredAsins.has(key) || scheduledAsins.has(item.asin)) continue;
+        if (!discoveredAsins.has(item.asin)) {
+            if (asinBudgetLeft() <= 0) continue;
+            discoveredAsins.add(item.asin);
+        }
+        state.discoveredAsins.add(key);
+        accepted.push(item);
     }
+
+    if (accepted.length > 0) await discoveredDataset.pushData(accepted);
+    return { accepted, exhausted: asinBudgetLeft() <= 0 };
+}
+
+// Blocked listings (offers, storefront, discovery) that ran out of retries
+async function onFailedListing(record) {
+    const recordKey = `blocked|${record.url}`;
+    if (state.pushedRecords.has(recordKey)) return;
+    state.pushedRecords.add(recordKey);
+
+    state.counters.blocked++;
+    await Actor.pushData(record);
+}
+
+// ── Crawler ────────────────────────────────────────────────────────────
+const router = createRouter({
+    skipAmazonSellers,
+    offerCondition,
+    expandOffers,
+    maxOffers: maxOffersPerListing,
+    maxStorefrontPages,
+    maxStorefrontAsins,
+    maxDiscoveryPages,
+    maxFeedbackEntries,
+    saveFailureSnapshots,
+    sellerCache,
+    state,
+    onSellerRecord,
+    onOffers,
+    onAttempt,
+    onDiscoveredAsins,
+});
+
+// Retries for errors other than blocks; blocked requests get `maxBlockRetries` session rotations on top
+const maxRequestRetries = 2;
+
+const crawler = new PlaywrightCrawler({
+    requestHandler: router,
+    maxConcurrency,
+    maxRequestRetries,
+    maxSessionRotations: maxBlockRetries,
+    navigationTimeoutSecs: 45,
+    requestHandlerTimeoutSecs: 120,
+    useSessionPool: true,
+    persistCookiesPerSession: true,
+    sessionPoolOptions: { maxPoolSize: Math.max(10, maxConcurrency * 2) },
+    proxyConfiguration,
+    browserPoolOptions: {
+        // Randomized desktop Chrome fingerprint (UA, screen, headers) per browser context
+        useFingerprints: true,
+        fingerprintOptions: {
+            fingerprintGeneratorOptions: {
+                browsers: ['chrome'],
+                devices: ['desktop'],
+                operatingSystems: ['windows', 'macos'],
+            },
+        },
+        retireBrowserAfterPageCount: 50,
+    },
+    launchContext: {
+        launcher: chromium,
+        // A fresh context per page, so every request can use its marketplace's proxy country
+        useIncognitoPages: true,
+        launchOptions: {
+            headless: true,
+            args: [
+                '--no-sandbox',
+                '--disable-setuid-sandbox',
+                '--disable-dev-shm-usage',
+                '--disable-blink-features=AutomationControlled',
+            ],
+        },
+    },
+    preNavigationHooks: [
+        async ({ page, request }, gotoOptions) => {
+            // Back off before retrying a blocked request (each block rotates the session)
+            await blockBackoff(request.sessionRotationCount ?? 0, blockBackoffMs);
+
+            // Only block non-essential resources (keep JS — needed for AOD panel rendering)
+            await page.route('**/*.{png,jpg,jpeg,gif,svg,ico,woff,woff2,ttf,eot}', route => route.abort());
+            await page.route('**/doubleclick.net/**', route => route.abort());
+            await page.route('**/google-analytics.com/**', route => route.abort());
+
+            gotoOptions.waitUntil = request.label === LABELS.OFFERS ? 'load' : 'domcontentloaded';
+
+            const domain = new URL(request.url).hostname.replace(/^www\./, '');
+            const marketplace = marketplaceByDomain.get(domain);
+            if (matchMarketplaceLocale && marketplace) await applyMarketplaceLocale(page, marketplace);
+
+            // Keep each Amazon domain polite regardless of overall concurrency
+            if (!replaySnapshotsDir) await throttle(domain);
+            request.userData.navigationStartedAt = Date.now();
+        },
+        ...(replaySnapshotsDir ? [createReplayHook(replaySnapshotsDir)] : []),
+    ],
+    postNavigationHooks: [
+        createBlockCheckHook({ solver, maxRequestRetries }),
+        ...(recordSnapshotsDir ? [createRecorderHook(recordSnapshotsDir)] : []),
+    ],
+    failedRequestHandler: createFailedRequestHandler({
+        state,
+        saveFailureSnapshots,
+        onSellerRecord,
+        onFailedListing,
+        onAttempt,
+        log,
+    }),
+});
+
+// Skip (asin, marketplace) pairs finished before a restart
+const offerTargets = asinsToProcess.flatMap(asin => marketplacesForAsin(asin).map(marketplace => ({ asin, marketplace })));
+const startRequests = offerTargets
+    .filter(({ asin, marketplace }) => !state.completedOffers.has(offerKey(asin, marketplace.code)))
+    .map(({ asin, marketplace }) => offerListingRequest(asin, marketplace, offerCondition));
+
+for (const { sellerId, marketplace } of sellerTargets.values()) {
+    startRequests.push(sellerProfileRequest({ sellerId, name: null }, null, marketplace));
+    if (crawlStorefronts) startRequests.push(storefrontRequest(sellerId, marketplace));
 }
+startRequests.push(...discoveryRequests);
+
+await crawler.run(startRequests);
+await persistState();
+await outputSinks.flush();
+
+// ── Consolidated Sellers ───────────────────────────────────────────────
+// One entity per seller across marketplaces and ASINs, as JSON and CSV records
+const consolidatedCount = consolidateSellers ? await saveConsolidatedSellers(await Actor.openDataset()) : null;
+
+// ── Monitoring ─────────────────────────────────────────────────────────
+// Change events against the previous run's snapshot go to the "seller-changes" dataset
+const changes = monitoring
+    ? await detectChanges({
+        dataset: await Actor.openDataset(),
+        storeName: monitoringStoreName,
+        completedListings: state.readListings,
+        ratingThreshold: ratingAlertThreshold,
+    })
+    : null;
 
 // ── Summary ────────────────────────────────────────────────────────────
+// Saved as the RUN_SUMMARY record; the log only shows the highlights
+const { counters } = state;
+const summary = {
+    sellerRecords: counters.totalRecords,
+    uniqueSellers: state.sellersSeen.size,
+    asinsProcessed: asinsToProcess.length + discoveredAsins.size,
+    asinsDiscovered: discoveredAsins.size,
+    marketplacesChecked: new Set([
+        ...offerTargets.map(t => t.marketplace.code),
+        ...[...sellerTargets.values()].map(t => t.marketplace.code),
+        ...discoveryRequests.map(r => r.userData.marketplaceCode),
+    ]).size,
+    recordsWithPhone: counters.withPhone,
+    recordsWithEmail: counters.withEmail,
+    recordsFromCache: counters.fromCache,
+    offers: counters.offers,
+    blockedListings: counters.blocked,
+    consolidatedSellers: consolidatedCount,
+    changeEvents: changes?.events ?? null,
+    outputSinks: outputSinks.stats(),
+    marketplaces: state.marketplaceStats,
+    finishedAt: new Date().toISOString(),
+};
+await Actor.setValue('RUN_SUMMARY', summary);
+
 log.info(`\n${'='.repeat(60)}`);
 log.info('SCRAPING COMPLETE');
 log.info(`${'='.repeat(60)}`);
-log.info(`Total seller records: ${allResults.length}`);
-log.info(`Unique sellers: ${sellersSeen.size}`);
-log.info(`ASINs processed: ${asinsToProcess.length}`);
-log.info(`Marketplaces checked: ${marketplacesToScrape.length}`);
-
-// Count sellers with phone numbers
-const withPhone = allResults.filter(r => r.phoneNumber).length;
-const withEmail = allResults.filter(r => r.email).length;
-log.info(`Records with phone: ${withPhone}`);
-log.info(`Records with email: ${withEmail}`);
-
-// ── Cleanup ────────────────────────────────────────────────────────────
-await page.close();
-await context.close();
-await browser.close();
+log.info(`Seller records: ${summary.sellerRecords} (${summary.uniqueSellers} unique sellers, ${summary.recordsWithPhone} with phone, ${summary.recordsWithEmail} with email)`);
+log.info(`ASINs processed: ${summary.asinsProcessed} (${summary.asinsDiscovered} discovered) on ${summary.marketplacesChecked} marketplace(s)`);
+log.info(`Offers: ${summary.offers}, blocked listings: ${summary.blockedListings}`);
+if (consolidatedCount !== null) log.info(`Consolidated sellers: ${consolidatedCount} (key-value store: SELLERS, SELLERS_CSV)`);
+for (const [code, { attempts }] of Object.entries(summary.marketplaces)) {
+    const outcomes = Object.entries(attempts).map(([status, n]) => `${status} ${n}`).join(', ');
+    if (outcomes) log.info(`[${code}] ${outcomes}`);
+}
+for (const { name, sent, failed } of summary.outputSinks) {
+    log.info(`Output sink ${name}: ${sent} record(s) delivered${failed > 0 ? `, ${failed} failed` : ''}`);
+}
+if (changes) log.info(changes.baseline ? 'Monitoring: baseline snapshot saved' : `Change events: ${changes.events}`);
+log.info('Full summary in the RUN_SUMMARY key-value store record');
 
 await Actor.exit();
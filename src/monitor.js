@@ -0,0 +1,160 @@
+import { Actor } from 'apify';
+import { MARKETPLACES } from './constants.js';
+
+/**
+ * Monitoring mode: compare this run's seller records with the snapshot left by
+ * the previous run in a named key-value store and emit change events.
+ *
+ * A snapshot holds who sells each ASIN × marketplace and the last known
+ * profile of each marketplace × seller. Listings that were not scraped
+ * successfully this run (blocked, out of scope) keep their previous entries, so
+ * they never show up as disappeared sellers.
+ */
+
+const SNAPSHOT_KEY = 'SNAPSHOT';
+const CHANGES_DATASET = 'seller-changes';
+
+export const CHANGE_TYPES = {
+    SELLER_APPEARED: 'seller_appeared',
+    SELLER_DISAPPEARED: 'seller_disappeared',
+    BUSINESS_NAME_CHANGED: 'business_name_changed',
+    ADDRESS_CHANGED: 'address_changed',
+    VAT_CHANGED: 'vat_changed',
+    PHONE_CHANGED: 'phone_changed',
+    RATING_BELOW_THRESHOLD: 'rating_below_threshold',
+};
+
+// Watched profile fields: change type and how to compare values
+const compact = value => value.toLowerCase().replace(/[^\p{L}\p{N}+]/gu, '');
+const WATCHED_FIELDS = {
+    businessName: { type: CHANGE_TYPES.BUSINESS_NAME_CHANGED, key: compact },
+    businessAddress: { type: CHANGE_TYPES.ADDRESS_CHANGED, key: compact },
+    vatNumber: { type: CHANGE_TYPES.VAT_CHANGED, key: compact },
+    phoneNumber: { type: CHANGE_TYPES.PHONE_CHANGED, key: compact },
+};
+
+const marketplaceByCode = new Map(MARKETPLACES.map(m => [m.code, m]));
+
+/**
+ * Snapshot of the seller records in a dataset:
+ * { takenAt, sightings: { "ASIN|MK": { sellerId: sellerName } }, profiles: { "MK-sellerId": {...} } }.
+ * Sellers count as seen even if their profile was blocked; profiles only when scraped.
+ */
+export async function buildSnapshot(dataset) {
+    const sightings = {};
+    const profiles = {};
+    await dataset.forEach(record => {
+        if (!record.sellerId) return;
+        if (record.asin) {
+            const listingKey = `${record.asin}|${record.marketplace}`;
+            sightings[listingKey] ??= {};
+            sightings[listingKey][record.sellerId] = record.sellerName;
+        }
+        if (record.status !== 'ok') return;
+        profiles[`${record.marketplace}-${record.sellerId}`] ??= {
+            sellerName: record.sellerDisplayName ?? record.sellerName,
+            businessName: record.businessName,
+            businessAddress: record.businessAddress,
+            vatNumber: record.vatNumberNormalized ?? record.vatNumber,
+            phoneNumber: record.phoneNumberE164 ?? record.phoneNumber,
+            rating: record.rating,
+        };
+    });
+    return { takenAt: new Date().toISOString(), sightings, profiles };
+}
+
+/**
+ * Change events between two snapshots. Seller sightings are only compared for
+ * listings in `completedListings` ("ASIN|MK") that the previous snapshot knew.
+ * Watched fields that were added or removed are changes too, with a null
+ * `previousValue` or `currentValue`.
+ */
+export function diffSnapshots(previous, current, { completedListings, ratingThreshold }) {
+    const events = [];
+    const event = (type, marketplaceCode, fields) => events.push({
+        type,
+        marketplace: marketplaceCode,
+        marketplaceDomain: marketplaceByCode.get(marketplaceCode)?.domain ?? null,
+        field: null,
+        previousValue: null,
+        currentValue: null,
+        ...fields,
+        previousSnapshotAt: previous.takenAt,
+        detectedAt: current.takenAt,
+    });
+
+    for (const listingKey of completedListings) {
+        const before = previous.sightings[listingKey];
+        if (!before) continue; // first time this listing is monitored
+        const now = current.sightings[listingKey] ?? {};
+        const [asin, marketplaceCode] = listingKey.split('|');
+
+        for (const [sellerId, sellerName] of Object.entries(now)) {
+            if (!(sellerId in before)) event(CHANGE_TYPES.SELLER_APPEARED, marketplaceCode, { asin, sellerId, sellerName });
+        }
+        for (const [sellerId, sellerName] of Object.entries(before)) {
+            if (!(sellerId in now)) event(CHANGE_TYPES.SELLER_DISAPPEARED, marketplaceCode, { asin, sellerId, sellerName });
+        }
+    }
+
+    for (const [profileKey, profile] of Object.entries(current.profiles)) {
+        const before = previous.profiles[profileKey];
+        const [marketplaceCode, sellerId] = profileKey.split('-');
+        const base = { asin: null, sellerId, sellerName: profile.sellerName };
+
+        // Profiles monitored for the first time have nothing to compare against
+        const watched = before ? Object.entries(WATCHED_FIELDS) : [];
+        for (const [field, { type, key }] of watched) {
+            const previousValue = before[field] || null;
+            const currentValue = profile[field] || null;
+            if ((previousValue && key(previousValue)) === (currentValue && key(currentValue))) continue;
+            event(type, marketplaceCode, { ...base, field, previousValue, currentValue });
+        }
+
+        const wasAbove = before?.rating == null || before.rating >= ratingThreshold;
+        if (ratingThreshold > 0 && profile.rating != null && profile.rating < ratingThreshold && wasAbove) {
+            event(CHANGE_TYPES.RATING_BELOW_THRESHOLD, marketplaceCode, {
+                ...base,
+                field: 'rating',
+                previousValue: before?.rating ?? null,
+                currentValue: profile.rating,
+                threshold: ratingThreshold,
+            });
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Compare the seller records of `dataset` with the previous snapshot, push the
+ * change events to the "seller-changes" dataset and store the new snapshot.
+ * The first run only records a baseline.
+ *
+ * @param {object} options
+ * @param {object} options.dataset - Dataset with this run's seller records.
+ * @param {string} options.storeName - Named key-value store holding the snapshot between runs.
+ * @param {Set<string>} options.completedListings - "ASIN|MK" listings whose seller list was read this run,
+ *   even if empty. Other listings keep their previous sightings.
+ * @param {number} options.ratingThreshold - Emit an event when a rating drops below this (0 disables).
+ * @returns {Promise<{ baseline: boolean, events: number }>}
+ */
+export async function detectChanges({ dataset, storeName, completedListings, ratingThreshold }) {
+    const store = await Actor.openKeyValueStore(storeName);
+    const previous = await store.getValue(SNAPSHOT_KEY);
+    const current = await buildSnapshot(dataset);
+
+    const events = previous ? diffSnapshots(previous, current, { completedListings, ratingThreshold }) : [];
+    if (events.length > 0) await (await Actor.openDataset(CHANGES_DATASET)).pushData(events);
+
+    // Listings and profiles not seen this run keep their previous state
+    const sightings = { ...previous?.sightings };
+    for (const listingKey of completedListings) sightings[listingKey] = current.sightings[listingKey] ?? {};
+    await store.setValue(SNAPSHOT_KEY, {
+        takenAt: current.takenAt,
+        sightings,
+        profiles: { ...previous?.profiles, ...current.profiles },
+    });
+
+    return { baseline: !previous, events: events.length };
+}
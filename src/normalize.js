@@ -0,0 +1,337 @@
+import { parsePhoneNumberFromString } from 'libphonenumber-js';
+
+/**
+ * Contact data normalization: E.164 phones, offline VAT validation, structured
+ * addresses and validated emails. Raw values stay in the record; everything
+ * here is added next to them.
+ */
+
+// ── Countries ──────────────────────────────────────────────────────────
+// Amazon usually ends addresses with an ISO country code; a few layouts spell it out.
+const COUNTRY_ALIASES = {
+    UK: 'GB',
+    EL: 'GR',
+    'UNITED KINGDOM': 'GB',
+    'GREAT BRITAIN': 'GB',
+    GERMANY: 'DE',
+    DEUTSCHLAND: 'DE',
+    FRANCE: 'FR',
+    ITALY: 'IT',
+    ITALIA: 'IT',
+    SPAIN: 'ES',
+    ESPAÑA: 'ES',
+    NETHERLANDS: 'NL',
+    POLAND: 'PL',
+    POLSKA: 'PL',
+    SWEDEN: 'SE',
+    SVERIGE: 'SE',
+    BELGIUM: 'BE',
+    IRELAND: 'IE',
+    TURKEY: 'TR',
+    TÜRKIYE: 'TR',
+    JAPAN: 'JP',
+    CHINA: 'CN',
+    'HONG KONG': 'HK',
+    'UNITED STATES': 'US',
+    USA: 'US',
+    CANADA: 'CA',
+    MEXICO: 'MX',
+    BRAZIL: 'BR',
+    BRASIL: 'BR',
+    AUSTRALIA: 'AU',
+    INDIA: 'IN',
+    SINGAPORE: 'SG',
+    EGYPT: 'EG',
+    'SAUDI ARABIA': 'SA',
+    'UNITED ARAB EMIRATES': 'AE',
+};
+
+function toCountryCode(value) {
+    if (!value) return null;
+    const upper = value.trim().toUpperCase();
+    if (COUNTRY_ALIASES[upper]) return COUNTRY_ALIASES[upper];
+    return /^[A-Z]{2}$/.test(upper) ? upper : null;
+}
+
+// ── Addresses ──────────────────────────────────────────────────────────
+const POSTCODE_PATTERNS = {
+    GB: /\b[A-Z]{1,2}\d[A-Z\d]?\s?\d[A-Z]{2}\b/i,
+    IE: /\b[AC-FHKNPRTV-Y]\d{2}\s?[AC-FHKNPRTV-Y\d]{4}\b/i,
+    NL: /\b\d{4}\s?[A-Z]{2}\b/i,
+    PL: /\b\d{2}-\d{3}\b/,
+    SE: /\b\d{3}\s?\d{2}\b/,
+    JP: /\b\d{3}-\d{4}\b/,
+    CA: /\b[A-Z]\d[A-Z]\s?\d[A-Z]\d\b/i,
+    BR: /\b\d{5}-?\d{3}\b/,
+    US: /\b\d{5}(?:-\d{4})?\b/,
+    CN: /\b\d{6}\b/,
+    IN: /\b\d{6}\b/,
+    SG: /\b\d{6}\b/,
+};
+const GENERIC_POSTCODE = /\b\d{4,6}\b/;
+
+// Countries whose addresses put a state or province between the city and the postcode
+const REGION_BEFORE_POSTCODE = new Set(['US', 'CA', 'CN', 'AU', 'IN']);
+const REGION_TOKEN = /^[A-Z]{2,3}$/; // "CA", "ON", "NSW"
+const hasDigit = s => /\d/.test(s);
+
+// Two-letter state and province codes that look like ISO country codes ("DE" is Delaware)
+const REGION_CODES = {
+    US: new Set([
+        'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA',
+        'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND', 'OH', 'OK',
+        'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY', 'DC', 'PR',
+    ]),
+    CA: new Set(['AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'QC', 'SK', 'YT']),
+    AU: new Set(['WA', 'SA', 'NT']),
+};
+
+/**
+ * Split an address (lines glued with ", ") into street, postcode, city,
+ * region and country. `fallbackCountry` is used when the address has none.
+ * On a `marketplaceCountry` with states, a trailing state code ("Wilmington, DE"
+ * on amazon.com) is read as the region unless a postcode segment precedes it.
+ */
+export function parseAddress(raw, fallbackCountry = null, marketplaceCountry = null) {
+    if (!raw) return null;
+    const parts = raw.split(',').map(p => p.trim()).filter(Boolean);
+
+    const last = (parts[parts.length - 1] ?? '').toUpperCase();
+    const beforeLast = parts[parts.length - 2] ?? '';
+    let country = toCountryCode(last);
+    let trailingRegion = null;
+    if (country && REGION_CODES[marketplaceCountry]?.has(last)
+        && !(POSTCODE_PATTERNS[country] ?? GENERIC_POSTCODE).test(beforeLast)) {
+        trailingRegion = parts.pop();
+        country = marketplaceCountry;
+    } else if (country) {
+        parts.pop();
+    } else {
+        country = fallbackCountry;
+    }
+
+    // The postcode is usually near the end: search backwards
+    const pattern = POSTCODE_PATTERNS[country] ?? GENERIC_POSTCODE;
+    let postcode = null;
+    let city = null;
+    let postcodeIndex = -1;
+    for (let i = parts.length - 1; i >= 1; i--) {
+        const match = parts[i].match(pattern);
+        if (!match) continue;
+        postcode = match[0].toUpperCase();
+        postcodeIndex = i;
+        city = parts[i].replace(match[0], '').replace(/^[\s-]+|[\s-]+$/g, '') || null;
+        break;
+    }
+
+    let streetParts;
+    let regionParts;
+    if (postcodeIndex === -1) {
+        // No postcode: "street, ..., city"
+        city = parts.length > 1 ? parts[parts.length - 1] : null;
+        streetParts = parts.length > 1 ? parts.slice(0, -1) : parts;
+        regionParts = [];
+    } else if (!city && postcodeIndex > 2 && REGION_BEFORE_POSTCODE.has(country)
+        && !hasDigit(parts[postcodeIndex - 1]) && !hasDigit(parts[postcodeIndex - 2])) {
+        // "street, city, region, postcode"
+        city = parts[postcodeIndex - 2];
+        streetParts = parts.slice(0, postcodeIndex - 2);
+        regionParts = [parts[postcodeIndex - 1], ...parts.slice(postcodeIndex + 1)];
+    } else if (city && REGION_BEFORE_POSTCODE.has(country) && REGION_TOKEN.test(city)
+        && postcodeIndex > 0 && !hasDigit(parts[postcodeIndex - 1])) {
+        // "street, city, region postcode"
+        regionParts = [city, ...parts.slice(postcodeIndex + 1)];
+        city = parts[postcodeIndex - 1];
+        streetParts = parts.slice(0, postcodeIndex - 1);
+    } else if (city && REGION_BEFORE_POSTCODE.has(country) && / [A-Z]{2,3}$/.test(city)) {
+        // "street, city region postcode" (Australia)
+        regionParts = [city.slice(city.lastIndexOf(' ') + 1), ...parts.slice(postcodeIndex + 1)];
+        city = city.slice(0, city.lastIndexOf(' '));
+        streetParts = parts.slice(0, postcodeIndex);
+    } else if (!city && postcodeIndex > 1) {
+        // "street, city, postcode"
+        city = parts[postcodeIndex - 1];
+        streetParts = parts.slice(0, postcodeIndex - 1);
+        regionParts = parts.slice(postcodeIndex + 1);
+    } else {
+        streetParts = parts.slice(0, postcodeIndex);
+        regionParts = parts.slice(postcodeIndex + 1);
+    }
+
+    return {
+        street: streetParts.join(', ') || null,
+        postcode,
+        city,
+        region: [...regionParts, ...(trailingRegion ? [trailingRegion] : [])].join(', ') || null,
+        country,
+    };
+}
+
+// ── Phones ─────────────────────────────────────────────────────────────
+/**
+ * Parse a phone number to E.164, assuming `defaultCountry` for national formats.
+ * Returns null if it can't be parsed as a valid number.
+ */
+export function normalizePhone(raw, defaultCountry) {
+    if (!raw) return null;
+    const phone = parsePhoneNumberFromString(raw.replace(/^00/, '+'), defaultCountry ?? undefined);
+    return phone?.isValid() ? phone.number : null;
+}
+
+// ── Emails ─────────────────────────────────────────────────────────────
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+/**
+ * Lowercase and syntax-check an email address.
+ */
+export function normalizeEmail(raw) {
+    if (!raw) return { email: null, valid: null };
+    const email = raw.trim().toLowerCase();
+    return { email, valid: EMAIL_PATTERN.test(email) };
+}
+
+// ── VAT Numbers ────────────────────────────────────────────────────────
+// Format after the country prefix (EU uses EL for Greece; XI is Northern Ireland)
+const VAT_FORMATS = {
+    AT: /^U\d{8}$/,
+    BE: /^[01]\d{9}$/,
+    BG: /^\d{9,10}$/,
+    CY: /^\d{8}[A-Z]$/,
+    CZ: /^\d{8,10}$/,
+    DE: /^\d{9}$/,
+    DK: /^\d{8}$/,
+    EE: /^\d{9}$/,
+    EL: /^\d{9}$/,
+    ES: /^[A-Z0-9]\d{7}[A-Z0-9]$/,
+    FI: /^\d{8}$/,
+    FR: /^[A-HJ-NP-Z0-9]{2}\d{9}$/,
+    HR: /^\d{11}$/,
+    HU: /^\d{8}$/,
+    IE: /^(\d{7}[A-W][A-I]?|\d[A-Z+*]\d{5}[A-W])$/,
+    IT: /^\d{11}$/,
+    LT: /^(\d{9}|\d{12})$/,
+    LU: /^\d{8}$/,
+    LV: /^\d{11}$/,
+    MT: /^\d{8}$/,
+    NL: /^\d{9}B\d{2}$/,
+    PL: /^\d{10}$/,
+    PT: /^\d{9}$/,
+    RO: /^\d{2,10}$/,
+    SE: /^\d{10}01$/,
+    SI: /^\d{8}$/,
+    SK: /^\d{10}$/,
+    GB: /^(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/,
+    XI: /^(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/,
+    CH: /^E?\d{9}(MWST|TVA|IVA)?$/,
+    NO: /^\d{9}(MVA)?$/,
+    // Gulf VAT registration numbers (TRN) carry no prefix
+    SA: /^3\d{13}3$/,
+    AE: /^\d{15}$/,
+};
+
+const digitsOf = s => s.split('').map(Number);
+
+// Check digit algorithms for the marketplaces' main countries
+const VAT_CHECKSUMS = {
+    DE(number) {
+        const d = digitsOf(number);
+        let product = 10;
+        for (let i = 0; i < 8; i++) {
+            let sum = (d[i] + product) % 10;
+            if (sum === 0) sum = 10;
+            product = (2 * sum) % 11;
+        }
+        const check = 11 - product === 10 ? 0 : 11 - product;
+        return check === d[8];
+    },
+    IT(number) {
+        const d = digitsOf(number);
+        const sum = d.slice(0, 10).reduce((acc, digit, i) => {
+            if (i % 2 === 0) return acc + digit;
+            const doubled = digit * 2;
+            return acc + (doubled > 9 ? doubled - 9 : doubled);
+        }, 0);
+        return (10 - (sum % 10)) % 10 === d[10];
+    },
+    FR(number) {
+        if (!/^\d{2}/.test(number)) return true; // alphabetic keys have no simple check
+        const siren = parseInt(number.slice(2), 10);
+        return (12 + 3 * (siren % 97)) % 97 === parseInt(number.slice(0, 2), 10);
+    },
+    BE(number) {
+        return 97 - (parseInt(number.slice(0, 8), 10) % 97) === parseInt(number.slice(8), 10);
+    },
+    PL(number) {
+        const d = digitsOf(number);
+        const weights = [6, 5, 7, 2, 3, 4, 5, 6, 7];
+        const check = weights.reduce((acc, w, i) => acc + w * d[i], 0) % 11;
+        return check !== 10 && check === d[9];
+    },
+    NL(number) {
+        // Pre-2020 numbers use mod 11, newer ones mod 97 over "NL" + number
+        const d = digitsOf(number.slice(0, 9));
+        const mod11 = d.slice(0, 8).reduce((acc, digit, i) => acc + digit * (9 - i), 0) - d[8];
+        if (mod11 % 11 === 0) return true;
+        const numeric = `NL${number}`.replace(/[A-Z]/g, c => String(c.charCodeAt(0) - 55));
+        return BigInt(numeric) % 97n === 1n;
+    },
+    GB(number) {
+        if (!/^\d{9}/.test(number)) return true;
+        const d = digitsOf(number.slice(0, 9));
+        const total = d.slice(0, 7).reduce((acc, digit, i) => acc + digit * (8 - i), 0)
+            + parseInt(number.slice(7, 9), 10);
+        return total % 97 === 0 || (total + 55) % 97 === 0;
+    },
+};
+
+/**
+ * Validate a VAT number offline: country prefix, format and (where known) the
+ * check digits. Numbers without a prefix are checked against `defaultCountry`.
+ */
+export function validateVat(raw, defaultCountry = null) {
+    if (!raw) return { vatNumber: null, country: null, valid: null };
+
+    const compact = raw.toUpperCase().replace(/[\s.\-/]/g, '');
+    let country = compact.slice(0, 2);
+    let number = compact.slice(2);
+    if (!VAT_FORMATS[country]) {
+        country = defaultCountry === 'GR' ? 'EL' : defaultCountry;
+        number = compact;
+    }
+
+    // No known format (Turkish Vergi No, Japanese T-number, ...): validity unknown
+    const format = VAT_FORMATS[country];
+    if (!format) return { vatNumber: compact, country: null, valid: null };
+
+    // Invalid numbers are kept as written: the assumed prefix may be the wrong one
+    const valid = format.test(number) && (VAT_CHECKSUMS[country]?.(number) ?? true);
+    if (!valid) return { vatNumber: compact, country, valid };
+    const prefixed = ['SA', 'AE'].includes(country) ? number : `${country}${number}`;
+    return { vatNumber: prefixed, country, valid };
+}
+
+// ── Record ─────────────────────────────────────────────────────────────
+/**
+ * Normalized contact fields for a seller record. The country for phone and
+ * VAT parsing comes from the business address, falling back to the marketplace.
+ */
+export function normalizeContact(sellerInfo, marketplace) {
+    const businessAddress = parseAddress(sellerInfo.businessAddress, null, marketplace.country);
+    const customerServiceAddress = parseAddress(sellerInfo.customerServiceAddress, null, marketplace.country);
+    const country = businessAddress?.country ?? customerServiceAddress?.country ?? marketplace.country;
+
+    const vat = validateVat(sellerInfo.vatNumber, country);
+    const email = normalizeEmail(sellerInfo.email);
+
+    return {
+        phoneNumberE164: normalizePhone(sellerInfo.phoneNumber, country),
+        customerServicePhoneE164: normalizePhone(sellerInfo.customerServicePhone, country),
+        emailNormalized: email.email,
+        emailValid: email.valid,
+        vatNumberNormalized: vat.vatNumber,
+        vatCountry: vat.country,
+        vatValid: vat.valid,
+        businessAddressParsed: businessAddress,
+        customerServiceAddressParsed: customerServiceAddress,
+    };
+}
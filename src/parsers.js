@@ -0,0 +1,292 @@
+/**
+ * In-page parsers.
+ *
+ * These functions are passed to page.evaluate(), so they are serialized and run
+ * inside the browser: they must not reference anything outside their own body
+ * and may only take JSON-serializable arguments.
+ */
+
+/**
+ * Parse the seller profile page (/sp?seller=...) using the marketplace's
+ * localized labels (see SELLER_PAGE_LABELS in labels.js).
+ */
+export function parseSellerProfile(labels) {
+    const result = {};
+    const bodyText = document.body.innerText;
+
+    const normalize = s => s.toLowerCase().replace(/\s+/g, ' ').trim();
+    const escapeRegex = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const firstMatch = (patterns, text) => {
+        for (const source of patterns) {
+            const match = text.match(new RegExp(source, 'i'));
+            if (match) return match[1];
+        }
+        return null;
+    };
+    const parseNumber = s => parseFloat(s.replace(/٫/g, '.').replace(',', '.'));
+    const parseCount = s => parseInt(s.replace(/[^\d]/g, ''), 10);
+
+    // Canonical field lookup by normalized label
+    const fieldByLabel = new Map();
+    for (const [field, keys] of Object.entries(labels.fields)) {
+        for (const key of keys) fieldByLabel.set(normalize(key), field);
+    }
+    const addressFields = new Set(['businessAddress', 'customerServiceAddress']);
+
+    // Get seller display name from h1
+    const h1 = document.querySelector('h1');
+    result.sellerDisplayName = h1 ? h1.textContent.trim() : null;
+
+    // Get seller rating info
+    try {
+        const rating = firstMatch(labels.ratingPatterns, bodyText);
+        const percent = firstMatch(labels.positivePatterns, bodyText);
+        const count = firstMatch(labels.ratingCountPatterns, bodyText);
+        result.rating = rating ? parseNumber(rating) : null;
+        result.positivePercent = percent ? parseInt(percent, 10) : null;
+        result.ratingCount = count ? parseCount(count) : null;
+    } catch { /* ignore */ }
+
+    // "Customer Service Phone" can appear outside the detailed block (UAE pattern)
+    const csPhoneLabels = labels.fields.customerServicePhone.map(escapeRegex).join('|');
+    const csPhoneMatch = csPhoneLabels
+        ? bodyText.match(new RegExp(`(?:${csPhoneLabels})\\s*[:：]?\\s*([^\\n]+)`, 'i'))
+        : null;
+    const customerServicePhone = csPhoneMatch ? csPhoneMatch[1].trim() : null;
+
+    // "Key: value" lines -> canonical fields; address values continue on the following lines
+    const terminators = labels.addressTerminators.map(normalize);
+    const isFieldLine = line => /[:：]/.test(line);
+    const parseFieldLines = lines => {
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            if (!isFieldLine(line)) continue;
+
+            const sep = line.search(/[:：]/);
+            const key = line.slice(0, sep).trim();
+            const value = line.slice(sep + 1).trim();
+            const field = fieldByLabel.get(normalize(key));
+            if (!field || result[field]) continue;
+
+            if (value && !addressFields.has(field)) {
+                result[field] = value;
+                if (field === 'taxId') result.taxIdLabel = key;
+            } else if (addressFields.has(field)) {
+                const addrLines = value ? [value] : [];
+                for (let j = i + 1; j < lines.length; j++) {
+                    const next = normalize(lines[j]);
+                    if (isFieldLine(lines[j]) || terminators.some(t => next.includes(t))) break;
+                    addrLines.push(lines[j]);
+                }
+                if (addrLines.length > 0) result[field] = addrLines.join(', ');
+            }
+        }
+    };
+    const toLines = text => text.split('\n').map(l => l.trim()).filter(Boolean);
+
+    // Find "Detailed Seller Information" section
+    const headingTexts = labels.detailedInfoHeadings.map(normalize);
+    const headings = Array.from(document.querySelectorAll('h2, h3'));
+    const detailHeading = headings.find(h => {
+        const text = normalize(h.textContent);
+        return headingTexts.some(t => text.includes(t));
+    });
+
+    if (!detailHeading) {
+        result.hasDetailedInfo = false;
+
+        // Some layouts (often amazon.com) show business name/address without the heading
+        const section = document.querySelector('#page-section-detail-seller-info, #seller-info-section');
+        parseFieldLines(toLines(section ? section.innerText : bodyText));
+
+        if (customerServicePhone) {
+            result.customerServicePhone = customerServicePhone;
+            if (!result.phoneNumber) result.phoneNumber = customerServicePhone;
+        }
+
+        return result;
+    }
+
+    result.hasDetailedInfo = true;
+    const container = detailHeading.closest('div[class*="a-column"], div[class*="a-box"], section')
+        || detailHeading.parentElement?.parentElement;
+
+    if (!container) return result;
+
+    parseFieldLines(toLines(container.innerText));
+
+    if (customerServicePhone) {
+        result.customerServicePhone = customerServicePhone;
+        if (!result.phoneNumber) {
+            result.phoneNumber = customerServicePhone;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Parse the feedback summary table of the seller profile page: positive /
+ * neutral / negative percentages and the rating count for the last 30 days,
+ * 90 days, 12 months and lifetime. Rows and columns are read by position, as
+ * their labels are localized. Returns null when the table is missing.
+ */
+export function parseFeedbackSummary() {
+    const table = document.querySelector('#feedback-summary-table')
+        || Array.from(document.querySelectorAll('table')).find(t => /30/.test(t.rows[0]?.textContent ?? '')
+            && t.rows.length >= 4);
+    if (!table) return null;
+
+    const periods = ['days30', 'days90', 'months12', 'lifetime'];
+    const rowNames = ['positive', 'neutral', 'negative', 'count'];
+    const toNumber = text => {
+        const digits = (text || '').replace(/[^\d]/g, '');
+        return digits ? parseInt(digits, 10) : null;
+    };
+
+    const rows = Array.from(table.rows).filter(row => !row.querySelector('th') || row.querySelector('td'));
+    const breakdown = Object.fromEntries(periods.map(p => [p, {}]));
+    rows.slice(0, rowNames.length).forEach((row, r) => {
+        // The first cell is the row label; the last four hold the periods
+        const cells = Array.from(row.cells).slice(-periods.length);
+        cells.forEach((cell, c) => {
+            breakdown[periods[c]][rowNames[r]] = toNumber(cell.textContent);
+        });
+    });
+
+    return breakdown;
+}
+
+/**
+ * Parse the individual feedback entries currently shown on the seller
+ * profile page (one page of the paginated list). The rater line ("By John on
+ * 5 May 2024.", "Von Max am 5. Mai 2024.", ...) is split with the
+ * marketplace's localized rater patterns.
+ */
+export function parseFeedbackEntries({ rowSelector, raterPatterns }) {
+    const text = el => (el ? el.textContent.replace(/\s+/g, ' ').trim() : null);
+    const raterRegexes = raterPatterns.map(p => new RegExp(p));
+    const entries = [];
+
+    document.querySelectorAll(rowSelector).forEach(row => {
+        const starClass = row.querySelector('i[class*="a-star-"]')?.className.match(/a-star-(\d)/);
+        const raterLine = text(row.querySelector('[id$="-rater"], .feedback-rater-line, .feedback-rater'));
+        const match = raterLine ? raterRegexes.map(re => raterLine.match(re)).find(Boolean) : null;
+
+        entries.push({
+            stars: starClass ? parseInt(starClass[1], 10) : null,
+            text: text(row.querySelector('[id$="-text"], .feedback-text, .a-text-quote')),
+            rater: match?.groups.rater ?? null,
+            date: match?.groups.date ?? null,
+            raterLine,
+        });
+    });
+
+    return entries.filter(e => e.text || e.stars !== null);
+}
+
+/**
+ * Parse every offer in the All Offers Display panel (or the older offer
+ * listing layout). The pinned offer at the top of the AOD panel is the
+ * Buy Box winner.
+ */
+export function parseOffers() {
+    const text = el => (el ? el.textContent.replace(/\s+/g, ' ').trim() : null);
+    const sellerIdFrom = href => {
+        if (!href) return null;
+        try {
+            const url = new URL(href, location.href);
+            return url.searchParams.get('seller') || url.searchParams.get('sellerID');
+        } catch {
+            const match = href.match(/seller=([A-Z0-9]+)/i);
+            return match ? match[1] : null;
+        }
+    };
+
+    const offers = [];
+    const containers = document.querySelectorAll('#aod-pinned-offer, #aod-offer, .olpOffer');
+
+    containers.forEach((el, index) => {
+        const soldBy = el.querySelector('#aod-offer-soldBy, .olpSellerName');
+        const sellerLink = soldBy?.querySelector('a[href]');
+        const sellerLogo = soldBy?.querySelector('img[alt]'); // older layout shows Amazon as a logo
+        const sellerName = text(sellerLink)
+            || text(soldBy?.querySelector('.a-col-right'))
+            || sellerLogo?.alt.trim()
+            || null;
+
+        const deliveryEl = el.querySelector('[data-csa-c-delivery-price]');
+        const shipsFrom = text(el.querySelector('#aod-offer-shipsFrom .a-col-right, .olpFbaPopoverTrigger'));
+
+        offers.push({
+            position: index + 1,
+            sellerName,
+            sellerId: sellerIdFrom(sellerLink?.getAttribute('href')),
+            priceText: text(el.querySelector('.a-price .a-offscreen, .olpOfferPrice')),
+            condition: text(el.querySelector('#aod-offer-heading, .olpCondition')),
+            shipsFrom,
+            shippingText: deliveryEl?.getAttribute('data-csa-c-delivery-price')
+                ?? text(el.querySelector('.olpShippingInfo')),
+            deliveryEstimate: deliveryEl?.getAttribute('data-csa-c-delivery-time') ?? null,
+            hasPrimeBadge: !!el.querySelector('.a-icon-prime, i[class*="prime"]'),
+            fulfilledByAmazonText: /fulfilled by amazon|versand durch amazon|expédié par amazon|spedito da amazon|enviado por amazon|enviado pela amazon/i
+                .test(el.textContent),
+            soldByAmazonText: /ships from and sold by amazon|versand und verkauf durch amazon|expédié et vendu par amazon|spedito e venduto da amazon|vendido y enviado por amazon|enviado y vendido por amazon|enviado e vendido por amazon|verzonden en verkocht door amazon/i
+                .test(el.textContent),
+            isBuyBoxWinner: el.id === 'aod-pinned-offer',
+        });
+    });
+
+    return offers;
+}
+
+/**
+ * Parse a search-style result page (seller storefront /s?me=..., keyword
+ * search, category listing). Results are returned in page order.
+ */
+export function parseSearchResults() {
+    const results = [];
+    document.querySelectorAll('div[data-component-type="s-search-result"][data-asin]').forEach(el => {
+        const asin = el.getAttribute('data-asin');
+        if (!asin) return;
+        const title = el.querySelector('h2')?.textContent.replace(/\s+/g, ' ').trim() || null;
+        const sponsored = el.classList.contains('AdHolder')
+            || !!el.querySelector('.puis-sponsored-label-text, .s-sponsored-label-text, [data-component-type="sp-sponsored-result"]');
+        results.push({ asin, title, sponsored });
+    });
+
+    const next = document.querySelector('.s-pagination-next');
+    const hasNextPage = !!next && !next.classList.contains('s-pagination-disabled') && next.tagName === 'A';
+
+    return { results, hasNextPage };
+}
+
+/**
+ * Parse a bestseller list page (/gp/bestsellers/..., /zgbs/...).
+ * Ranks come from the "#N" badge when present.
+ */
+export function parseBestsellers() {
+    const results = [];
+    document.querySelectorAll('#gridItemRoot, .zg-item-immersion, li.zg-item').forEach(el => {
+        const asinEl = el.querySelector('[data-asin]');
+        const link = el.querySelector('a[href*="/dp/"]');
+        const asin = asinEl?.getAttribute('data-asin')
+            || link?.getAttribute('href').match(/\/dp\/([A-Z0-9]{10})/)?.[1];
+        if (!asin) return;
+
+        const badge = el.querySelector('.zg-bdg-text, .zg-badge-text')?.textContent || '';
+        const rank = parseInt(badge.replace(/[^\d]/g, ''), 10);
+        const title = el.querySelector('[class*="line-clamp"], .p13n-sc-truncated, img[alt]');
+        results.push({
+            asin,
+            title: (title?.textContent.trim() || title?.getAttribute('alt') || null),
+            rank: Number.isNaN(rank) ? null : rank,
+            sponsored: false,
+        });
+    });
+
+    const next = document.querySelector('ul.a-pagination li.a-last');
+    const hasNextPage = !!next && !next.classList.contains('a-disabled') && !!next.querySelector('a');
+
+    return { results, hasNextPage };
+}
@@ -0,0 +1,110 @@
+import { Actor } from 'apify';
+import { ProxyConfiguration } from 'crawlee';
+import { MARKETPLACES } from './constants.js';
+
+const marketplaceByCode = new Map(MARKETPLACES.map(m => [m.code, m]));
+
+/**
+ * Create the crawler's proxy configuration from the `proxyConfiguration` input.
+ *
+ * With `matchCountry`, Apify Proxy requests are routed through the country of
+ * the request's marketplace (DE for amazon.de, JP for amazon.co.jp, ...). Every
+ * country gets its own configuration, and the session ID keeps the IP sticky
+ * per session. Custom proxy URLs are rotated as given.
+ *
+ * @param {object} [proxyInput] - Apify proxy input ({ useApifyProxy, apifyProxyGroups, proxyUrls, ... }).
+ * @param {object} options
+ * @param {boolean} options.matchCountry - Target each marketplace's country.
+ * @returns {Promise<ProxyConfiguration|undefined>}
+ */
+export async function createMarketplaceProxyConfiguration(proxyInput, { matchCountry }) {
+    if (!proxyInput || (!proxyInput.useApifyProxy && !proxyInput.proxyUrls?.length)) return undefined;
+
+    if (!matchCountry || !proxyInput.useApifyProxy) {
+        return Actor.createProxyConfiguration(proxyInput);
+    }
+
+    // Created lazily: one configuration per country actually requested
+    const byCountry = new Map(); // country -> Promise<ProxyConfiguration>
+    const forCountry = country => {
+        if (!byCountry.has(country)) {
+            byCountry.set(country, Actor.createProxyConfiguration(country
+                ? { ...proxyInput, apifyProxyCountry: undefined, countryCode: country }
+                : proxyInput));
+        }
+        return byCountry.get(country);
+    };
+
+    return new ProxyConfiguration({
+        newUrlFunction: async (sessionId, { request } = {}) => {
+            const marketplace = marketplaceByCode.get(request?.userData.marketplaceCode);
+            const config = await forCountry(marketplace?.country ?? null);
+            return config.newUrl(sessionId);
+        },
+    });
+}
+
+/**
+ * Runs in the page before Amazon's scripts, after the fingerprint injector's
+ * script: puts back the marketplace's navigator.language(s) and default Intl
+ * locale in place of the fingerprint's. Everything replaced is a proxy of the
+ * original that stringifies like it, and each Intl constructor is wrapped once
+ * so `Intl.NumberFormat === Intl.NumberFormat` still holds.
+ */
+function overrideFingerprintLocale({ locale, languages }) {
+    const targets = new WeakMap();
+    const disguise = (target, handler) => {
+        const proxy = new Proxy(target, handler);
+        targets.set(proxy, target);
+        return proxy;
+    };
+    Function.prototype.toString = disguise(Function.prototype.toString, {
+        apply: (toString, self, args) => Reflect.apply(toString, targets.get(self) ?? self, args),
+    });
+
+    const navigatorProto = Object.getPrototypeOf(navigator);
+    for (const [key, value] of [['language', locale], ['languages', Object.freeze(languages)]]) {
+        const descriptor = Object.getOwnPropertyDescriptor(navigatorProto, key);
+        const get = disguise(descriptor.get, {
+            // Call the original first, so illegal invocations still throw
+            apply: (getter, self, args) => {
+                Reflect.apply(getter, self, args);
+                return value;
+            },
+        });
+        Object.defineProperty(navigatorProto, key, { ...descriptor, get });
+    }
+
+    const withLocale = {
+        construct: (Target, [locales, options]) => new Target(locales ?? locale, options),
+        apply: (target, self, [locales, options]) => target(locales ?? locale, options),
+    };
+    const wrapped = new Map();
+    window.Intl = disguise(window.Intl, {
+        get: (target, key) => {
+            if (typeof key !== 'string' || !/^[A-Z]/.test(key)) return target[key];
+            if (!wrapped.has(key)) wrapped.set(key, disguise(target[key], withLocale));
+            return wrapped.get(key);
+        },
+    });
+}
+
+/**
+ * Match the page's language and timezone to the marketplace: Accept-Language
+ * header, navigator.language(s), Intl locale and the timezone. The user agent
+ * and the rest of the fingerprint come from the browser pool's generated
+ * fingerprints; their language is one per browser, not per marketplace, so it
+ * is overridden here.
+ */
+export async function applyMarketplaceLocale(page, marketplace) {
+    const language = marketplace.locale.split('-')[0];
+    await page.setExtraHTTPHeaders({
+        'Accept-Language': `${marketplace.locale},${language};q=0.9,en;q=0.8`,
+    });
+    await page.addInitScript(overrideFingerprintLocale, { locale: marketplace.locale, languages: [marketplace.locale, language] });
+
+    const cdp = await page.context().newCDPSession(page);
+    await cdp.send('Emulation.setLocaleOverride', { locale: marketplace.locale }).catch(() => {});
+    await cdp.send('Emulation.setTimezoneOverride', { timezoneId: marketplace.timezone }).catch(() => {});
+    await cdp.detach().catch(() => {});
+}
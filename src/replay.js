@@ -0,0 +1,76 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * HTML snapshot recording and replay.
+ *
+ * The recorder saves the DOM of every page as navigation left it, before the
+ * handler clicks or expands anything (scripts removed, so snapshots are
+ * static), to `<dir>/<marketplace>/<path-slug>-<hash>.html`. Replay serves
+ * those files through Playwright routing instead of hitting Amazon: the
+ * request's own main document comes from its snapshot, other documents get a
+ * "Page Not Found" page and every other request is aborted.
+ */
+
+const NOT_FOUND_HTML = '<!DOCTYPE html><html><head><title>Page Not Found</title></head><body></body></html>';
+
+/**
+ * File holding the snapshot of a request URL.
+ */
+export function snapshotPath(dir, url, marketplaceCode) {
+    const slug = new URL(url).pathname.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'index';
+    const hash = createHash('sha1').update(url).digest('hex').slice(0, 12);
+    return path.join(dir, marketplaceCode ?? 'other', `${slug}-${hash}.html`);
+}
+
+/**
+ * Pre-navigation hook serving the request's page from the snapshot directory.
+ * Registered after the other routes, so it takes precedence over them.
+ */
+export function createReplayHook(dir) {
+    return async ({ page, request, log }) => {
+        const requestUrl = new URL(request.url).href;
+        await page.route('**/*', async route => {
+            const req = route.request();
+            if (!req.isNavigationRequest() || req.resourceType() !== 'document' || req.frame() !== page.mainFrame()) {
+                return route.abort();
+            }
+            // Links followed or redirects taken from the replayed page were not recorded with this request
+            if (req.url() !== requestUrl) {
+                return route.fulfill({ status: 404, contentType: 'text/html', body: NOT_FOUND_HTML });
+            }
+
+            const file = snapshotPath(dir, request.url, request.userData.marketplaceCode);
+            const html = await readFile(file, 'utf8').catch(() => null);
+            if (html === null) {
+                log.warning(`[${request.userData.marketplaceCode}] No snapshot for ${request.url} (${file})`);
+                return route.fulfill({ status: 404, contentType: 'text/html', body: NOT_FOUND_HTML });
+            }
+            return route.fulfill({ status: 200, contentType: 'text/html; charset=utf-8', body: html });
+        });
+    };
+}
+
+/**
+ * Post-navigation hook saving the page as a snapshot. Registered after the
+ * block check, so blocked pages are not recorded. The live page keeps its
+ * scripts; only the copy is stripped. Recording failures are logged, never
+ * thrown.
+ */
+export function createRecorderHook(dir) {
+    return async ({ page, request, log }) => {
+        const file = snapshotPath(dir, request.url, request.userData.marketplaceCode);
+        try {
+            const html = await page.evaluate(() => {
+                const root = document.documentElement.cloneNode(true);
+                root.querySelectorAll('script, noscript, link[rel="preload"], link[rel="prefetch"]').forEach(el => el.remove());
+                return `<!DOCTYPE html>\n${root.outerHTML}`;
+            });
+            await mkdir(path.dirname(file), { recursive: true });
+            await writeFile(file, html);
+        } catch (err) {
+            log.warning(`[${request.userData.marketplaceCode}] Could not record snapshot of ${request.url}: ${err.message}`);
+        }
+    };
+}
@@ -0,0 +1,420 @@
+import { createPlaywrightRouter } from 'crawlee';
+import { MARKETPLACES } from './constants.js';
+import {
+    extractAllSellers,
+    extractBestsellers,
+    extractOffers,
+    extractSearchResults,
+    extractSellerInfo,
+    listingPageUrl,
+    offerListingUrl,
+    sellerProfileUrl,
+    storefrontUrl,
+} from './scraper.js';
+import { ATTEMPT_STATUS, buildAttemptRecord, failureStatus, saveFailureSnapshot } from './diagnostics.js';
+import { normalizeContact } from './normalize.js';
+import { classifySeller, SELLER_CATEGORIES } from './seller-category.js';
+import { offerKey } from './state.js';
+
+// Request types handled by the crawler
+export const LABELS = {
+    OFFERS: 'OFFERS',
+    SELLER: 'SELLER',
+    STOREFRONT: 'STOREFRONT',
+    SEARCH: 'SEARCH',
+    BESTSELLERS: 'BESTSELLERS',
+};
+
+const marketplaceByCode = new Map(MARKETPLACES.map(m => [m.code, m]));
+
+/**
+ * Request for the offer listing of one ASIN on one marketplace.
+ */
+export function offerListingRequest(asin, marketplace, condition) {
+    return {
+        url: offerListingUrl(asin, marketplace, condition),
+        label: LABELS.OFFERS,
+        userData: { asin, marketplaceCode: marketplace.code },
+    };
+}
+
+/**
+ * Request for a seller profile page, either found on an ASIN's offer listing
+ * or given directly in the input (asin = null).
+ * Keyed by marketplace + seller so each profile is loaded once per run.
+ */
+export function sellerProfileRequest(seller, asin, marketplace) {
+    return {
+        url: sellerProfileUrl(seller.sellerId, asin, marketplace),
+        uniqueKey: `${marketplace.code}-${seller.sellerId}`,
+        label: LABELS.SELLER,
+        userData: {
+            asin,
+            marketplaceCode: marketplace.code,
+            sellerName: seller.name,
+            sellerId: seller.sellerId,
+        },
+    };
+}
+
+/**
+ * Request for one page of a seller's storefront (/s?me=SELLERID).
+ */
+export function storefrontRequest(sellerId, marketplace, pageNumber = 1, asinsFound = 0) {
+    return {
+        url: storefrontUrl(sellerId, marketplace, pageNumber),
+        label: LABELS.STOREFRONT,
+        userData: { sellerId, marketplaceCode: marketplace.code, pageNumber, asinsFound },
+    };
+}
+
+/**
+ * Request for one page of a discovery listing: keyword search or category
+ * (label SEARCH) or bestseller list (label BESTSELLERS).
+ * `source` is "keyword", "category" or "bestsellers"; `query` is the keyword or input URL.
+ */
+export function discoveryRequest(url, label, marketplace, { source, query, pageNumber = 1, rankOffset = 0 }) {
+    return {
+        url,
+        label,
+        userData: { marketplaceCode: marketplace.code, source, query, pageNumber, rankOffset },
+    };
+}
+
+/**
+ * Build the output record for one seller seen on one ASIN × marketplace.
+ * Raw contact values are kept as scraped; normalized ones sit next to them.
+ * `sellerCategory` defaults to classifying the seller by ID and name.
+ */
+export function buildSellerRecord({ asin, marketplace, sellerName, sellerId, sellerCategory }, sellerInfo,
+    { fromCache = false, status = 'ok', blockType = null } = {}) {
+    return {
+        status: sellerInfo.error ? 'error' : status,
+        blockType,
+        error: sellerInfo.error || null,
+        asin,
+        marketplace: marketplace.code,
+        marketplaceDomain: marketplace.domain,
+        sellerName,
+        sellerId,
+        sellerCategory: sellerCategory ?? classifySeller({ sellerId, name: sellerName }),
+        sellerDisplayName: sellerInfo.sellerDisplayName || sellerName,
+        businessName: sellerInfo.businessName || null,
+        businessType: sellerInfo.businessType || null,
+        phoneNumber: sellerInfo.phoneNumber || null,
+        customerServicePhone: sellerInfo.customerServicePhone || null,
+        email: sellerInfo.email || null,
+        vatNumber: sellerInfo.vatNumber || null,
+        tradeRegisterNumber: sellerInfo.tradeRegisterNumber || null,
+        taxId: sellerInfo.taxId || null,
+        taxIdLabel: sellerInfo.taxIdLabel || null,
+        businessAddress: sellerInfo.businessAddress || null,
+        customerServiceAddress: sellerInfo.customerServiceAddress || null,
+        ...normalizeContact(sellerInfo, marketplace),
+        rating: sellerInfo.rating || null,
+        positivePercent: sellerInfo.positivePercent || null,
+        ratingCount: sellerInfo.ratingCount || null,
+        feedbackBreakdown: sellerInfo.feedbackBreakdown || null,
+        feedbackEntries: sellerInfo.feedbackEntries || [],
+        hasDetailedInfo: sellerInfo.hasDetailedInfo || false,
+        profileFromCache: fromCache,
+        scrapedAt: new Date().toISOString(),
+    };
+}
+
+/**
+ * Record for a seller sighting whose profile could not be scraped: `blocked`
+ * when the page was blocked, `error` otherwise.
+ */
+function failedSellerRecord(sighting, marketplace, sellerId, { blockType, error }) {
+    return blockType
+        ? buildSellerRecord({ ...sighting, marketplace, sellerId }, {}, { status: 'blocked', blockType })
+        : buildSellerRecord({ ...sighting, marketplace, sellerId }, { error });
+}
+
+/**
+ * Create the crawler router.
+ *
+ * @param {object} options
+ * @param {boolean} options.skipAmazonSellers - Don't visit profiles of Amazon's own offers; they get a
+ *   `status: "skipped"` record instead.
+ * @param {string} options.offerCondition - Condition filter for offer listings (key of OFFER_CONDITIONS).
+ * @param {boolean} options.expandOffers - Expand lazily loaded AOD offers before extraction.
+ * @param {number} options.maxOffers - Cap on offers loaded per listing when expanding.
+ * @param {number} options.maxStorefrontPages - Storefront pages to crawl per seller × marketplace.
+ * @param {number} options.maxStorefrontAsins - ASINs to take from a storefront per seller × marketplace.
+ * @param {number} options.maxDiscoveryPages - Listing pages to crawl per search/category/bestseller input.
+ * @param {number} options.maxFeedbackEntries - Individual feedback entries to collect per seller profile (0 = none).
+ * @param {object} options.sellerCache - Seller profile cache (see seller-cache.js).
+ * @param {boolean} options.saveFailureSnapshots - Save a screenshot and HTML of failed pages to the key-value store.
+ * @param {object} options.state - Run checkpoint (see state.js).
+ * @param {(record: object) => Promise<void>} options.onSellerRecord - Called for every finished seller record.
+ * @param {(asin: string, marketplace: object, offers: object[]) => Promise<void>} options.onOffers - Called with
+ *   every offer found on an offer listing.
+ * @param {(record: object) => Promise<void>} options.onAttempt - Called with the status record of every
+ *   ASIN × marketplace attempt (see diagnostics.js).
+ * @param {(marketplace: object, items: object[]) => Promise<{ accepted: object[], exhausted: boolean }>}
+ *   options.onDiscoveredAsins - Dedupes discovered ASINs against the maxAsins budget; returns the ones to scrape.
+ */
+export function createRouter({
+    skipAmazonSellers,
+    offerCondition,
+    expandOffers,
+    maxOffers,
+    maxStorefrontPages,
+    maxStorefrontAsins,
+    maxDiscoveryPages,
+    maxFeedbackEntries,
+    saveFailureSnapshots,
+    sellerCache,
+    state,
+    onSellerRecord,
+    onOffers,
+    onAttempt,
+    onDiscoveredAsins,
+}) {
+    const router = createPlaywrightRouter();
+
+    // Sightings waiting for a profile request in flight, and profiles that failed for good
+    const { pendingSightings, failedProfiles, completedOffers, readListings } = state;
+
+    // Offer listing: collect sellers and offers, enqueue seller profile pages
+    router.addHandler(LABELS.OFFERS, async ({ page, request, crawler, log }) => {
+        const { asin, marketplaceCode } = request.userData;
+        const marketplace = marketplaceByCode.get(marketplaceCode);
+
+        log.info(`[${marketplace.code}] Loaded offers for ASIN ${asin}: ${request.url}`);
+        const loadedAt = Date.now();
+        const { sellers: allSellers, status, listingRead, ...extraction } = await extractAllSellers(page, marketplace,
+            { expandOffers, maxOffers }, log);
+        const offers = await extractOffers(page, asin, marketplace, expandOffers ? { maxOffers } : {}, log);
+        await onOffers(asin, marketplace, offers);
+        const soldByAmazonIds = new Set(offers.filter(o => o.isAmazonSeller && o.sellerId).map(o => o.sellerId));
+
+        // Missing products and Amazon-only listings are common: only snapshot pages that didn't parse
+        const snapshot = saveFailureSnapshots && status === ATTEMPT_STATUS.PARSE_FAILED
+            ? await saveFailureSnapshot(page, `FAILURE-${marketplace.code}-${asin}-${status}`)
+            : {};
+        await onAttempt(buildAttemptRecord(request, marketplace, {
+            status,
+            loadedAt,
+            ...extraction,
+            sellerCount: allSellers.length,
+            offerCount: offers.length,
+            ...snapshot,
+        }));
+        // Only listings read in full can tell the monitor that a seller left
+        if (listingRead) readListings.add(offerKey(asin, marketplace.code));
+
+        // Amazon's own offers are recorded without visiting their profile if needed
+        const sellersToVisit = [];
+        for (const seller of allSellers) {
+            seller.category = classifySeller({
+                sellerId: seller.sellerId,
+                name: seller.name,
+                soldByAmazon: soldByAmazonIds.has(seller.sellerId),
+            });
+            if (!skipAmazonSellers || seller.category === SELLER_CATEGORIES.THIRD_PARTY) {
+                sellersToVisit.push(seller);
+                continue;
+            }
+            log.info(`[${marketplace.code}] Not visiting Amazon seller (${seller.category}): ${seller.name}`);
+            await onSellerRecord(buildSellerRecord({
+                asin, marketplace, sellerName: seller.name, sellerId: seller.sellerId, sellerCategory: seller.category,
+            }, {}, { status: 'skipped' }));
+        }
+
+        if (sellersToVisit.length === 0) {
+            log.info(`[${marketplace.code}] No third-party sellers to visit`);
+            completedOffers.add(offerKey(asin, marketplace.code));
+            return;
+        }
+
+        const toEnqueue = [];
+        for (const seller of sellersToVisit) {
+            await sellerCache.load(marketplace.code, seller.sellerId);
+
+            // No awaits between the cache check and the pending registration below, so they can't
+            // interleave with a profile handler finishing for the same seller.
+            const cached = sellerCache.peek(marketplace.code, seller.sellerId);
+            if (cached) {
+                log.info(`[${marketplace.code}] Reusing cached profile for ${seller.name}`);
+                await onSellerRecord(buildSellerRecord({
+                    asin, marketplace, sellerName: seller.name, sellerId: seller.sellerId, sellerCategory: seller.category,
+                }, cached.info, { fromCache: true }));
+                continue;
+            }
+
+            // The profile request already ran and failed: a new one would be dropped as handled
+            const key = `${marketplace.code}-${seller.sellerId}`;
+            const failure = failedProfiles.get(key);
+            if (failure) {
+                await onSellerRecord(failedSellerRecord({ asin, sellerName: seller.name, sellerCategory: seller.category },
+                    marketplace, seller.sellerId, failure));
+                continue;
+            }
+
+            if (!pendingSightings.has(key)) {
+                pendingSightings.set(key, []);
+                toEnqueue.push(sellerProfileRequest(seller, asin, marketplace));
+            }
+            pendingSightings.get(key).push({ asin, sellerName: seller.name, sellerCategory: seller.category });
+        }
+
+        if (toEnqueue.length > 0) {
+            log.info(`[${marketplace.code}] Enqueueing ${toEnqueue.length} seller profile(s)...`);
+            await crawler.addRequests(toEnqueue);
+        }
+        completedOffers.add(offerKey(asin, marketplace.code));
+    });
+
+    // Seller profile: extract business info and emit the record
+    router.addHandler(LABELS.SELLER, async ({ page, request, log }) => {
+        const { asin, marketplaceCode, sellerName, sellerId } = request.userData;
+        const marketplace = marketplaceByCode.get(marketplaceCode);
+
+        const sellerInfo = await extractSellerInfo(page, marketplace, { maxFeedbackEntries }, log);
+        const key = `${marketplace.code}-${sellerId}`;
+        if (sellerInfo.error && saveFailureSnapshots) {
+            await saveFailureSnapshot(page, `FAILURE-${marketplace.code}-seller-${sellerId}`);
+        }
+
+        // Cache first, then take the sightings, so later offer pages hit the cache instead
+        const cacheWrite = sellerInfo.error ? null : sellerCache.set(marketplace.code, sellerId, sellerInfo);
+        if (sellerInfo.error) failedProfiles.set(key, { blockType: null, error: sellerInfo.error });
+        const sightings = pendingSightings.get(key) ?? [];
+        pendingSightings.delete(key);
+
+        // The request's own sighting (direct seller input, or lost pending state after a restart)
+        if (!sightings.some(s => s.asin === asin)) sightings.unshift({ asin, sellerName });
+
+        for (const sighting of sightings) {
+            await onSellerRecord(buildSellerRecord({ ...sighting, marketplace, sellerId }, sellerInfo));
+        }
+        await cacheWrite;
+    });
+
+    // Seller storefront: collect the seller's ASINs and feed them into the offers flow
+    router.addHandler(LABELS.STOREFRONT, async ({ page, request, crawler, log }) => {
+        const { sellerId, marketplaceCode, pageNumber, asinsFound } = request.userData;
+        const marketplace = marketplaceByCode.get(marketplaceCode);
+
+        const { results, hasNextPage } = await extractSearchResults(page, marketplace, log);
+        const asins = [...new Set(results.map(r => r.asin))].slice(0, maxStorefrontAsins - asinsFound);
+        const total = asinsFound + asins.length;
+
+        log.info(`[${marketplace.code}] Storefront ${sellerId} page ${pageNumber}: ${asins.length} ASIN(s) (${total} total)`);
+        await crawler.addRequests(asins
+            .filter(asin => !completedOffers.has(offerKey(asin, marketplace.code)))
+            .map(asin => offerListingRequest(asin, marketplace, offerCondition)));
+
+        if (hasNextPage && pageNumber < maxStorefrontPages && total < maxStorefrontAsins) {
+            await crawler.addRequests([storefrontRequest(sellerId, marketplace, pageNumber + 1, total)]);
+        }
+    });
+
+    // Discovery listings: collect ranked ASINs, feed new ones into the offers flow, paginate
+    const discoveryHandler = (extract, pageParam) => async ({ page, request, crawler, log }) => {
+        const { marketplaceCode, source, query, pageNumber, rankOffset } = request.userData;
+        const marketplace = marketplaceByCode.get(marketplaceCode);
+
+        const { results, hasNextPage } = await extract(page, marketplace, log);
+        const items = results.map((r, i) => ({
+            asin: r.asin,
+            marketplace: marketplace.code,
+            title: r.title,
+            rank: r.rank ?? rankOffset + i + 1,
+            sponsored: r.sponsored,
+            source,
+            query,
+            page: pageNumber,
+            discoveredAt: new Date().toISOString(),
+        }));
+
+        const { accepted, exhausted } = await onDiscoveredAsins(marketplace, items);
+        log.info(`[${marketplace.code}] ${source} "${query}" page ${pageNumber}: ${accepted.length} new ASIN(s)`);
+        await crawler.addRequests(accepted
+            .filter(item => !completedOffers.has(offerKey(item.asin, marketplace.code)))
+            .map(item => offerListingRequest(item.asin, marketplace, offerCondition)));
+
+        if (hasNextPage && !exhausted && pageNumber < maxDiscoveryPages) {
+            await crawler.addRequests([discoveryRequest(listingPageUrl(request.url, pageParam, pageNumber + 1),
+                request.label, marketplace, { source, query, pageNumber: pageNumber + 1, rankOffset: rankOffset + results.length })]);
+        }
+    };
+
+    router.addHandler(LABELS.SEARCH, discoveryHandler(extractSearchResults, 'page'));
+    router.addHandler(LABELS.BESTSELLERS, discoveryHandler(extractBestsellers, 'pg'));
+
+    return router;
+}
+
+/**
+ * Create the handler for requests that failed after all retries. Offer
+ * listings get an attempt record (captcha, timeout or parse_failed). Failed
+ * profiles produce one `status: "blocked"` or `status: "error"` record per
+ * seller sighting; other blocked pages produce one `status: "blocked"` record.
+ *
+ * @param {object} options
+ * @param {object} options.state - Run checkpoint (see state.js).
+ * @param {boolean} options.saveFailureSnapshots - Save a screenshot and HTML of the failed page.
+ * @param {(record: object) => Promise<void>} options.onSellerRecord - Called for failed seller sightings.
+ * @param {(record: object) => Promise<void>} options.onFailedListing - Called for other blocked requests.
+ * @param {(record: object) => Promise<void>} options.onAttempt - Called for failed offer listings.
+ * @param {object} options.log
+ */
+export function createFailedRequestHandler({ state, saveFailureSnapshots, onSellerRecord, onFailedListing, onAttempt, log }) {
+    return async ({ request, page }, err) => {
+        const { asin, sellerId, sellerName, marketplaceCode, blockType } = request.userData;
+        const marketplace = marketplaceByCode.get(marketplaceCode);
+        const target = asin ? `ASIN ${asin}` : sellerId ? `seller ${sellerId}` : request.url;
+        log.error(`[${marketplaceCode}] Request failed for ${target} (${request.label}): ${err.message}`);
+
+        // The page stays open until this handler returns; after a network error it is only a browser
+        // error page, not worth saving. Keyed on the request ID: discovery pages have no ASIN or
+        // seller, and a profile request carries the ASIN it was found on.
+        const status = failureStatus(err, blockType);
+        const snapshot = saveFailureSnapshots && page && status !== ATTEMPT_STATUS.NETWORK_ERROR
+            ? await saveFailureSnapshot(page, `FAILURE-${marketplaceCode}-${request.label}-${request.id}-${status}`)
+            : {};
+
+        if (request.label === LABELS.OFFERS) {
+            await onAttempt(buildAttemptRecord(request, marketplace, {
+                status,
+                finalUrl: page?.url() ?? null,
+                blockType: blockType ?? null,
+                error: err.message,
+                ...snapshot,
+            }));
+        }
+
+        if (request.label === LABELS.SELLER) {
+            const key = `${marketplaceCode}-${sellerId}`;
+            const failure = { blockType: blockType ?? null, error: err.message };
+            const sightings = state.pendingSightings.get(key) ?? [];
+            state.pendingSightings.delete(key);
+            state.failedProfiles.set(key, failure);
+            if (!sightings.some(s => s.asin === asin)) sightings.unshift({ asin, sellerName });
+
+            for (const sighting of sightings) {
+                await onSellerRecord(failedSellerRecord(sighting, marketplace, sellerId, failure));
+            }
+            return;
+        }
+
+        if (!blockType) return;
+
+        await onFailedListing({
+            status: 'blocked',
+            blockType,
+            requestType: request.label,
+            asin: asin ?? null,
+            sellerId: sellerId ?? null,
+            marketplace: marketplace.code,
+            marketplaceDomain: marketplace.domain,
+            url: request.url,
+            error: err.message,
+            scrapedAt: new Date().toISOString(),
+        });
+    };
+}
@@ -1,38 +1,183 @@
-import { SELECTORS, AMAZON_SELLER_NAMES } from './constants.js';
+import { SELECTORS, OFFER_CONDITIONS, MARKETPLACES } from './constants.js';
+import {
+    parseBestsellers,
+    parseFeedbackEntries,
+    parseFeedbackSummary,
+    parseOffers,
+    parseSearchResults,
+    parseSellerProfile,
+} from './parsers.js';
+import { ATTEMPT_STATUS } from './diagnostics.js';
+import { classifySeller, isAmazonSeller, SELLER_CATEGORIES } from './seller-category.js';
 
 /**
- * Check if a seller name belongs to Amazon itself.
+ * Delay helper.
  */
-export function isAmazonSeller(sellerName) {
-    if (!sellerName) return false;
-    const normalized = sellerName.toLowerCase().trim();
-    return AMAZON_SELLER_NAMES.some(name => normalized.includes(name) || name.includes(normalized));
+export function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 /**
- * Delay helper.
+ * Parse a localized price string ("£1,234.56", "1.234,56 €", "￥1,234") to a number.
+ * A separator followed by exactly two trailing digits is treated as the decimal point.
  */
-export function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+export function parsePrice(text) {
+    if (!text) return null;
+    const cleaned = text.replace(/[^\d.,]/g, '');
+    if (!/\d/.test(cleaned)) return null;
+
+    const lastSep = Math.max(cleaned.lastIndexOf('.'), cleaned.lastIndexOf(','));
+    const decimals = lastSep >= 0 ? cleaned.length - lastSep - 1 : 0;
+    if (lastSep >= 0 && decimals > 0 && decimals <= 2) {
+        const whole = cleaned.slice(0, lastSep).replace(/[.,]/g, '');
+        return parseFloat(`${whole}.${cleaned.slice(lastSep + 1)}`);
+    }
+    return parseFloat(cleaned.replace(/[.,]/g, ''));
 }
 
 /**
- * Extract all sellers from the offer listing page.
+ * Offer listing URL for an ASIN on a marketplace, filtered by condition
+ * (a key of OFFER_CONDITIONS; "all" leaves the filter out).
  * The /gp/offer-listing/{ASIN} URL redirects to the product page
  * with offers displayed inline (not in the AOD overlay).
- * We look for seller links using multiple selector strategies.
  */
-export async function extractAllSellers(page, asin, marketplace, log) {
-    const offerUrl = `https://www.${marketplace.domain}/gp/offer-listing/${asin}/ref=dp_olp_NEW_mbc?condition=NEW`;
+export function offerListingUrl(asin, marketplace, condition = 'new') {
+    const filter = OFFER_CONDITIONS[condition];
+    const query = condition === 'all' ? '' : `?condition=${filter}`;
+    return `https://www.${marketplace.domain}/gp/offer-listing/${asin}/ref=dp_olp_${filter}_mbc${query}`;
+}
+
+/**
+ * Seller profile URL on a marketplace. `asin` is optional.
+ */
+export function sellerProfileUrl(sellerId, asin, marketplace) {
+    const asinParam = asin ? `&asin=${asin}` : '';
+    return `https://www.${marketplace.domain}/sp?seller=${sellerId}${asinParam}`;
+}
 
-    log.info(`\n[${marketplace.code}] Loading offers: ${offerUrl}`);
+/**
+ * Seller storefront (product list) URL on a marketplace.
+ */
+export function storefrontUrl(sellerId, marketplace, pageNumber = 1) {
+    const pageParam = pageNumber > 1 ? `&page=${pageNumber}` : '';
+    return `https://www.${marketplace.domain}/s?me=${sellerId}${pageParam}`;
+}
 
+/**
+ * Keyword search URL on a marketplace.
+ */
+export function searchUrl(keyword, marketplace) {
+    return `https://www.${marketplace.domain}/s?k=${encodeURIComponent(keyword)}`;
+}
+
+/**
+ * Normalize a category URL to a paginated search listing.
+ * Browse node landing pages (/b?node=ID) become /s?rh=n:ID; other URLs are kept.
+ */
+export function categorySearchUrl(url) {
+    const parsed = new URL(url);
+    const node = parsed.searchParams.get('node');
+    if (parsed.pathname.startsWith('/b') && node) {
+        return `${parsed.origin}/s?rh=${encodeURIComponent(`n:${node}`)}`;
+    }
+    return url;
+}
+
+/**
+ * Set the page number query parameter (`page` on search, `pg` on bestsellers) of a listing URL.
+ */
+export function listingPageUrl(url, param, pageNumber) {
+    const parsed = new URL(url);
+    parsed.searchParams.set(param, String(pageNumber));
+    return parsed.toString();
+}
+
+/**
+ * Find the marketplace an Amazon URL belongs to (null if unknown).
+ */
+export function marketplaceFromUrl(url) {
+    let hostname;
     try {
-        await page.goto(offerUrl, { waitUntil: 'load', timeout: 45000 });
-    } catch (err) {
-        log.warning(`[${marketplace.code}] Page load timeout, continuing anyway: ${err.message}`);
+        hostname = new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+        return null;
+    }
+    return MARKETPLACES.find(m => hostname === m.domain) ?? null;
+}
+
+/**
+ * Extract the seller ID from a profile (/sp?seller=), storefront (/s?me=)
+ * or legacy (/gp/aag/main?seller=) URL.
+ */
+export function sellerIdFromUrl(url) {
+    try {
+        const { searchParams } = new URL(url);
+        return searchParams.get('seller') || searchParams.get('me') || searchParams.get('sellerID');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Extract the ASIN from a product URL (/dp/, /gp/product/, /gp/offer-listing/,
+ * /gp/aw/d/ or /product-reviews/ paths). Returns null if there is none.
+ */
+export function asinFromUrl(url) {
+    try {
+        const { pathname } = new URL(url);
+        const match = pathname.match(/\/(?:dp|gp\/product|gp\/offer-listing|gp\/aw\/d|product-reviews)\/([A-Z0-9]{10})(?:[/?]|$)/i);
+        return match ? match[1].toUpperCase() : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Load lazily rendered AOD offers: keep scrolling the offer list and clicking
+ * "Show more offers" until the offer count stops growing or reaches maxOffers.
+ */
+export async function expandOfferList(page, marketplace, { maxOffers }, log) {
+    const countOffers = () => page.$$eval(`${SELECTORS.AOD_PINNED_OFFER}, ${SELECTORS.AOD_OFFER}`, els => els.length)
+        .catch(() => 0);
+
+    let count = await countOffers();
+    let stalledRounds = 0;
+
+    while (count < maxOffers && stalledRounds < 2) {
+        await page.evaluate(({ scroller, list }) => {
+            const el = document.querySelector(scroller) || document.querySelector(list);
+            if (el) el.scrollTop = el.scrollHeight;
+            window.scrollTo(0, document.body.scrollHeight);
+        }, { scroller: SELECTORS.AOD_SCROLLER, list: SELECTORS.AOD_OFFER_LIST }).catch(() => {});
+
+        const showMore = await page.$(SELECTORS.AOD_SHOW_MORE);
+        if (showMore && await showMore.isVisible().catch(() => false)) {
+            await showMore.click({ timeout: 5000 }).catch(() => {});
+        }
+
+        await delay(1500);
+        const newCount = await countOffers();
+        stalledRounds = newCount > count ? 0 : stalledRounds + 1;
+        count = newCount;
     }
 
+    log.info(`[${marketplace.code}] Expanded offer list to ${count} offer(s)${count >= maxOffers ? ' (cap reached)' : ''}`);
+}
+
+/**
+ * Extract all sellers from an already loaded offer listing page.
+ * We look for seller links using multiple selector strategies.
+ *
+ * With `expandOffers`, lazily loaded offers are expanded first and the sellers
+ * capped at `maxOffers`.
+ *
+ * Returns { sellers, status, listingRead, matchedSelector, debugInfo, pageTitle, finalUrl, error },
+ * where status is one of ATTEMPT_STATUS ok / not_found / no_offers / parse_failed.
+ * `listingRead` tells whether the seller list can be trusted: false when it
+ * failed to parse or no offer container rendered, true for a rendered offer
+ * list without sellers (every reseller left).
+ */
+export async function extractAllSellers(page, marketplace, { expandOffers = false, maxOffers = 100 } = {}, log) {
     // Debug: log where we ended up
     const currentUrl = page.url();
     const pageTitle = await page.title();
@@ -43,15 +188,20 @@ export async function extractAllSellers(page, asin, marketplace, log) {
     if (pageTitle.includes('Page Not Found') || pageTitle.includes('404') ||
         pageTitle.includes('Sorry') || currentUrl.includes('/errors/')) {
         log.info(`[${marketplace.code}] Product not found on this marketplace`);
-        return [];
+        return {
+            sellers: [],
+            status: ATTEMPT_STATUS.NOT_FOUND,
+            listingRead: true,
+            matchedSelector: null,
+            debugInfo: null,
+            pageTitle,
+            finalUrl: currentUrl,
+            error: null,
+        };
     }
 
-    // Check for CAPTCHA
-    const hasCaptcha = await page.$('form[action*="validateCaptcha"]') !== null;
-    if (hasCaptcha) {
-        log.warning(`[${marketplace.code}] CAPTCHA detected — skipping`);
-        return [];
-    }
+    // CAPTCHA / bot-block pages never get here: the crawler's block check
+    // (see blocking.js) rejects them right after navigation.
 
     // Wait for the offers section to render — try multiple selectors
     const offerSelectors = [
@@ -80,6 +230,10 @@ export async function extractAllSellers(page, asin, marketplace, log) {
         await delay(5000);
     }
 
+    if (expandOffers && foundSelector) {
+        await expandOfferList(page, marketplace, { maxOffers }, log);
+    }
+
     // Debug: log what seller-related links exist on the page
     const debugInfo = await page.evaluate(() => {
         const allLinks = Array.from(document.querySelectorAll('a'));
@@ -108,6 +262,7 @@ export async function extractAllSellers(page, asin, marketplace, log) {
     log.info(`[${marketplace.code}] Debug: ${JSON.stringify(debugInfo)}`);
 
     // Extract sellers using multiple strategies
+    let parseError = null;
     const sellers = await page.evaluate(() => {
         const found = [];
         const seenIds = new Set();
@@ -169,178 +324,165 @@ export async function extractAllSellers(page, asin, marketplace, log) {
         });
 
         return found;
-    }).catch(() => []);
+    }).catch(err => {
+        parseError = err.message;
+        return [];
+    });
 
-    // Deduplicate by sellerId
-    const unique = [...new Map(sellers.map(s => [s.sellerId, s])).values()];
+    // Deduplicate by sellerId; expanding loads offers in batches and can overshoot the cap
+    const deduplicated = [...new Map(sellers.map(s => [s.sellerId, s])).values()];
+    const unique = expandOffers ? deduplicated.slice(0, maxOffers) : deduplicated;
     log.info(`[${marketplace.code}] Found ${unique.length} seller(s): ${unique.map(s => `${s.name}(${s.strategy})`).join(', ')}`);
 
-    return unique;
+    let status = ATTEMPT_STATUS.OK;
+    if (parseError) status = ATTEMPT_STATUS.PARSE_FAILED;
+    else if (unique.length === 0) status = ATTEMPT_STATUS.NO_OFFERS;
+
+    return {
+        sellers: unique,
+        status,
+        listingRead: !parseError && (unique.length > 0 || !!foundSelector),
+        matchedSelector: foundSelector,
+        debugInfo,
+        pageTitle,
+        finalUrl: currentUrl,
+        error: parseError,
+    };
 }
 
 /**
- * Navigate to a seller's profile page and extract business info.
+ * Extract every offer (price, condition, shipping, fulfillment, Buy Box) from
+ * an already loaded offer listing page, up to `maxOffers`. Amazon's own offers
+ * are included.
  */
-export async function extractSellerInfo(page, sellerUrl, log) {
-    try {
-        await page.goto(sellerUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
-        await delay(1500);
-
-        const info = await page.evaluate(() => {
-            const result = {};
+export async function extractOffers(page, asin, marketplace, { maxOffers = Infinity } = {}, log) {
+    const rawOffers = (await page.evaluate(parseOffers).catch(() => [])).slice(0, maxOffers);
+    const scrapedAt = new Date().toISOString();
+
+    const offers = rawOffers.map(offer => {
+        const sellerCategory = classifySeller({
+            sellerId: offer.sellerId,
+            name: offer.sellerName,
+            soldByAmazon: offer.soldByAmazonText,
+        });
+        const soldByAmazon = sellerCategory !== SELLER_CATEGORIES.THIRD_PARTY;
+        const shippedByAmazon = soldByAmazon || offer.fulfilledByAmazonText || isAmazonSeller({ name: offer.shipsFrom });
+        const freeShipping = /free|gratis|grátis|kostenlos|gratuit|ücretsiz|無料|مجان/i.test(offer.shippingText || '');
 
-            // Get seller display name from h1
-            const h1 = document.querySelector('h1');
-            result.sellerDisplayName = h1 ? h1.textContent.trim() : null;
+        return {
+            asin,
+            marketplace: marketplace.code,
+            marketplaceDomain: marketplace.domain,
+            sellerId: offer.sellerId,
+            sellerName: offer.sellerName,
+            isAmazonSeller: soldByAmazon,
+            sellerCategory,
+            price: parsePrice(offer.priceText),
+            currency: marketplace.currency,
+            priceText: offer.priceText,
+            condition: offer.condition,
+            shippingCost: freeShipping ? 0 : parsePrice(offer.shippingText),
+            shippingText: offer.shippingText,
+            fulfillment: soldByAmazon ? 'AMAZON' : shippedByAmazon ? 'FBA' : 'FBM',
+            shipsFrom: offer.shipsFrom,
+            deliveryEstimate: offer.deliveryEstimate,
+            isPrime: offer.hasPrimeBadge,
+            isBuyBoxWinner: offer.isBuyBoxWinner,
+            position: offer.position,
+            scrapedAt,
+        };
+    });
 
-            // Get seller rating info
-            try {
-                const ratingText = document.body.innerText;
-                const ratingMatch = ratingText.match(/([\d.]+)\s*out of\s*5\s*stars/);
-                const percentMatch = ratingText.match(/(\d+)%\s*positive/);
-                const countMatch = ratingText.match(/\((\d[\d,]*)\s*ratings?\)/);
-                result.rating = ratingMatch ? parseFloat(ratingMatch[1]) : null;
-                result.positivePercent = percentMatch ? parseInt(percentMatch[1], 10) : null;
-                result.ratingCount = countMatch ? parseInt(countMatch[1].replace(/,/g, ''), 10) : null;
-            } catch { /* ignore */ }
-
-            // Find "Detailed Seller Information" section
-            const headings = Array.from(document.querySelectorAll('h3'));
-            const detailHeading = headings.find(h => h.textContent.includes('Detailed Seller Information'));
-
-            if (!detailHeading) {
-                result.hasDetailedInfo = false;
-
-                // Fallback: check for "Customer Service Phone" in page text (UAE pattern)
-                const csPhoneMatch = document.body.innerText.match(/Customer Service Phone[:\s]+([^\n]+)/i);
-                if (csPhoneMatch) {
-                    result.phoneNumber = csPhoneMatch[1].trim();
-                    result.customerServicePhone = csPhoneMatch[1].trim();
-                }
+    log.info(`[${marketplace.code}] Found ${offers.length} offer(s)`);
+    return offers;
+}
 
-                return result;
-            }
+/**
+ * Extract the product results and pagination state from an already loaded
+ * search-style page (storefront, search or category listing).
+ */
+export async function extractSearchResults(page, marketplace, log) {
+    await page.waitForSelector('div[data-component-type="s-search-result"]', { timeout: 10000 }).catch(() => {});
+    const { results, hasNextPage } = await page.evaluate(parseSearchResults)
+        .catch(() => ({ results: [], hasNextPage: false }));
 
-            result.hasDetailedInfo = true;
-            const container = detailHeading.closest('div[class*="a-column"], div[class*="a-box"], section')
-                || detailHeading.parentElement?.parentElement;
-
-            if (!container) return result;
-
-            const allText = container.innerText;
-            const lines = allText.split('\n').map(l => l.trim()).filter(Boolean);
-
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i];
-                if (!line.includes(':')) continue;
-
-                const [rawKey, ...rest] = line.split(':');
-                const key = rawKey.trim();
-                const value = rest.join(':').trim();
-
-                if (value) {
-                    const keyLower = key.toLowerCase();
-                    if (keyLower === 'business name') result.businessName = value;
-                    else if (keyLower === 'business type') result.businessType = value;
-                    else if (keyLower === 'trade register number') result.tradeRegisterNumber = value;
-                    else if (keyLower === 'vat number') result.vatNumber = value;
-                    else if (keyLower === 'phone number') result.phoneNumber = value;
-                    else if (keyLower === 'email') result.email = value;
-                } else if (key.toLowerCase() === 'business address' || key.toLowerCase() === 'customer services address') {
-                    const addrLines = [];
-                    for (let j = i + 1; j < lines.length; j++) {
-                        if (lines[j].includes(':') || lines[j].includes('This seller')) break;
-                        addrLines.push(lines[j]);
-                    }
-                    if (key.toLowerCase() === 'business address') {
-                        result.businessAddress = addrLines.join(', ');
-                    } else {
-                        result.customerServiceAddress = addrLines.join(', ');
-                    }
-                }
-            }
+    log.info(`[${marketplace.code}] Found ${results.length} product(s) on ${page.url()}`);
+    return { results, hasNextPage };
+}
 
-            // Also check for "Customer Service Phone" outside Detailed Info
-            const csPhoneMatch = document.body.innerText.match(/Customer Service Phone[:\s]+([^\n]+)/i);
-            if (csPhoneMatch) {
-                result.customerServicePhone = csPhoneMatch[1].trim();
-                if (!result.phoneNumber) {
-                    result.phoneNumber = csPhoneMatch[1].trim();
-                }
-            }
+/**
+ * Extract ranked products and pagination state from an already loaded
+ * bestseller list page.
+ */
+export async function extractBestsellers(page, marketplace, log) {
+    await page.waitForSelector('#gridItemRoot, .zg-item-immersion', { timeout: 10000 }).catch(() => {});
+    const { results, hasNextPage } = await page.evaluate(parseBestsellers)
+        .catch(() => ({ results: [], hasNextPage: false }));
 
-            return result;
-        });
+    log.info(`[${marketplace.code}] Found ${results.length} bestseller(s) on ${page.url()}`);
+    return { results, hasNextPage };
+}
 
-        if (info.sellerDisplayName) {
-            log.info(`    ${info.sellerDisplayName} | Phone: ${info.phoneNumber || 'N/A'} | Email: ${info.email || 'N/A'}`);
+/**
+ * Collect up to `limit` feedback entries from the seller profile page,
+ * following the feedback list's "Next" button. Stops paging once `budgetMs`
+ * has passed and returns what was collected, so the profile page stays
+ * within the request handler timeout.
+ */
+export async function extractFeedbackEntries(page, marketplace, { limit, budgetMs = 45000 }, log) {
+    const entries = [];
+    const seen = new Set();
+    const deadline = Date.now() + budgetMs;
+    const parseArgs = { rowSelector: SELECTORS.FEEDBACK_ROW, raterPatterns: marketplace.labels.raterPatterns };
+
+    for (let pageNumber = 1; entries.length < limit; pageNumber++) {
+        const pageEntries = await page.evaluate(parseFeedbackEntries, parseArgs).catch(() => []);
+        const fresh = pageEntries.filter(e => !seen.has(`${e.raterLine}|${e.text}`));
+        if (fresh.length === 0) break;
+        for (const entry of fresh) seen.add(`${entry.raterLine}|${entry.text}`);
+        entries.push(...fresh);
+
+        // The list is replaced in place: wait until its first entry changes
+        const next = await page.$(SELECTORS.FEEDBACK_NEXT);
+        if (!next || entries.length >= limit) break;
+        if (Date.now() >= deadline) {
+            log.warning(`[${marketplace.code}] Feedback time budget used up after ${pageNumber} page(s)`);
+            break;
         }
-
-        return info;
-    } catch (err) {
-        log.warning(`    Failed to extract seller info: ${err.message}`);
-        return { error: err.message };
+        const firstText = await page.$eval(SELECTORS.FEEDBACK_ROW, el => el.textContent).catch(() => null);
+        await next.click({ timeout: 5000 }).catch(() => {});
+        await page.waitForFunction(({ selector, previous }) => document.querySelector(selector)?.textContent !== previous,
+            { selector: SELECTORS.FEEDBACK_ROW, previous: firstText }, { timeout: 10000 }).catch(() => {});
+        await delay(500);
     }
+
+    const collected = entries.slice(0, limit);
+    log.info(`[${marketplace.code}] Collected ${collected.length} feedback entries`);
+    return collected;
 }
 
 /**
- * Full scraping flow for one ASIN on one marketplace.
+ * Extract business info from an already loaded seller profile page,
+ * using the marketplace's localized labels. With `maxFeedbackEntries` > 0,
+ * also paginates through the individual feedback entries.
  */
-export async function scrapeAsinOnMarketplace(page, asin, marketplace, options, log) {
-    const { skipAmazonSellers, delayBetweenRequests } = options;
-
-    // Step 1: Go directly to the offer listing page (loads AOD in DOM)
-    const allSellers = await extractAllSellers(page, asin, marketplace, log);
-
-    // Filter out Amazon sellers if needed
-    const sellersToVisit = skipAmazonSellers
-        ? allSellers.filter(s => {
-            if (isAmazonSeller(s.name)) {
-                log.info(`[${marketplace.code}] Skipping Amazon seller: ${s.name}`);
-                return false;
-            }
-            return true;
-        })
-        : allSellers;
-
-    if (sellersToVisit.length === 0) {
-        log.info(`[${marketplace.code}] No third-party sellers to visit`);
-        return [];
-    }
-
-    log.info(`[${marketplace.code}] Visiting ${sellersToVisit.length} seller profile(s)...`);
+export async function extractSellerInfo(page, marketplace, { maxFeedbackEntries = 0 } = {}, log) {
+    try {
+        await delay(1500);
 
-    // Step 2: Visit each seller's profile page
-    const results = [];
-    for (const seller of sellersToVisit) {
-        await delay(delayBetweenRequests);
+        const info = await page.evaluate(parseSellerProfile, marketplace.labels);
+        info.feedbackBreakdown = await page.evaluate(parseFeedbackSummary).catch(() => null);
+        if (maxFeedbackEntries > 0) {
+            info.feedbackEntries = await extractFeedbackEntries(page, marketplace, { limit: maxFeedbackEntries }, log);
+        }
 
-        const sellerProfileUrl = `https://www.${marketplace.domain}/sp?seller=${seller.sellerId}&asin=${asin}`;
-        const sellerInfo = await extractSellerInfo(page, sellerProfileUrl, log);
+        if (info.sellerDisplayName) {
+            log.info(`    ${info.sellerDisplayName} | Phone: ${info.phoneNumber || 'N/A'} | Email: ${info.email || 'N/A'}`);
+        }
 
-        results.push({
-            asin,
-            marketplace: marketplace.code,
-            marketplaceDomain: marketplace.domain,
-            sellerName: seller.name,
-            sellerId: seller.sellerId,
-            sellerDisplayName: sellerInfo.sellerDisplayName || seller.name,
-            businessName: sellerInfo.businessName || null,
-            businessType: sellerInfo.businessType || null,
-            phoneNumber: sellerInfo.phoneNumber || null,
-            customerServicePhone: sellerInfo.customerServicePhone || null,
-            email: sellerInfo.email || null,
-            vatNumber: sellerInfo.vatNumber || null,
-            tradeRegisterNumber: sellerInfo.tradeRegisterNumber || null,
-            businessAddress: sellerInfo.businessAddress || null,
-            customerServiceAddress: sellerInfo.customerServiceAddress || null,
-            rating: sellerInfo.rating || null,
-            positivePercent: sellerInfo.positivePercent || null,
-            ratingCount: sellerInfo.ratingCount || null,
-            hasDetailedInfo: sellerInfo.hasDetailedInfo || false,
-            scrapedAt: new Date().toISOString(),
-        });
+        return info;
+    } catch (err) {
+        log.warning(`    Failed to extract seller info: ${err.message}`);
+        return { error: err.message };
     }
-
-    return results;
 }
@@ -0,0 +1,63 @@
+import { Actor } from 'apify';
+
+const STORE_NAME = 'seller-cache';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Open the seller profile cache.
+ *
+ * Profiles are keyed by marketplace + sellerId and kept in memory for the
+ * current run. They are also written to a named key-value store, so later runs
+ * can reuse profiles scraped within the last `ttlDays` days (0 disables reuse
+ * across runs; profiles are still stored for future runs).
+ *
+ * A resumed run always reads back the profiles scraped since `runStartedAt`:
+ * their requests are already marked handled in the request queue, so they
+ * would never be scraped again.
+ *
+ * `load()` is async (it may read the store) while `peek()` and `set()` update
+ * the in-memory map synchronously, so callers can check and register pending
+ * work without yielding in between.
+ *
+ * @param {object} options
+ * @param {number} options.ttlDays - Maximum age of persisted profiles to reuse.
+ * @param {number} options.runStartedAt - Start of the run (ms), kept across restarts (see state.js).
+ * @param {boolean} [options.resumed] - Whether this is a restarted run.
+ */
+export async function openSellerCache({ ttlDays, runStartedAt, resumed = false }) {
+    const store = await Actor.openKeyValueStore(STORE_NAME);
+    const memory = new Map(); // key -> { info, scrapedAt }
+    const loaded = new Set();
+
+    const keyOf = (marketplaceCode, sellerId) => `${marketplaceCode}-${sellerId}`;
+
+    return {
+        /** Warm the in-memory cache from the store for one seller. */
+        async load(marketplaceCode, sellerId) {
+            const key = keyOf(marketplaceCode, sellerId);
+            // A fresh run without reuse has nothing to find in the store
+            if ((ttlDays <= 0 && !resumed) || memory.has(key) || loaded.has(key)) return;
+            loaded.add(key);
+
+            const entry = await store.getValue(key);
+            if (!entry || memory.has(key)) return;
+            const scrapedAt = new Date(entry.scrapedAt).getTime();
+            if (scrapedAt >= runStartedAt || Date.now() - scrapedAt <= ttlDays * DAY_MS) {
+                memory.set(key, entry);
+            }
+        },
+
+        /** Cached entry ({ info, scrapedAt }) or null. */
+        peek(marketplaceCode, sellerId) {
+            return memory.get(keyOf(marketplaceCode, sellerId)) ?? null;
+        },
+
+        /** Store a freshly scraped profile; returns the pending store write. */
+        set(marketplaceCode, sellerId, info) {
+            const key = keyOf(marketplaceCode, sellerId);
+            const entry = { info, scrapedAt: new Date().toISOString() };
+            memory.set(key, entry);
+            return store.setValue(key, entry);
+        },
+    };
+}
@@ -0,0 +1,53 @@
+import { AMAZON_ENTITY_NAMES, AMAZON_MERCHANT_IDS, AMAZON_WAREHOUSE_NAMES } from './constants.js';
+
+export const SELLER_CATEGORIES = {
+    AMAZON: 'amazon',
+    AMAZON_WAREHOUSE: 'amazon_warehouse',
+    THIRD_PARTY: 'third_party',
+};
+
+/**
+ * Matching key for a seller name: accents, case, spaces and punctuation
+ * removed ("Amazon EU S.à r.l." -> "amazoneusarl", "Amazon.de" -> "amazonde").
+ */
+const nameKey = name => name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, '');
+
+const amazonIds = new Set(Object.values(AMAZON_MERCHANT_IDS).flatMap(ids => ids.amazon));
+const warehouseIds = new Set(Object.values(AMAZON_MERCHANT_IDS).flatMap(ids => ids.warehouse));
+const amazonNames = new Set(AMAZON_ENTITY_NAMES.map(nameKey));
+const warehouseNames = new Set(AMAZON_WAREHOUSE_NAMES.map(nameKey));
+
+/**
+ * Classify a seller as Amazon retail, Amazon Warehouse/Resale or third party.
+ *
+ * Checked in order: known merchant IDs, exact (normalized) Amazon entity names,
+ * then the offer's "Ships from and sold by Amazon" signal. Names are never
+ * matched as substrings, so "Amazing Deals" or "Amazon Fan Shop" stay third party.
+ *
+ * @param {object} seller
+ * @param {string} [seller.sellerId]
+ * @param {string} [seller.name]
+ * @param {boolean} [seller.soldByAmazon] - The offer says it ships from and is sold by Amazon.
+ * @returns {string} One of SELLER_CATEGORIES.
+ */
+export function classifySeller({ sellerId, name, soldByAmazon = false }) {
+    if (sellerId && warehouseIds.has(sellerId)) return SELLER_CATEGORIES.AMAZON_WAREHOUSE;
+    if (sellerId && amazonIds.has(sellerId)) return SELLER_CATEGORIES.AMAZON;
+
+    const key = name ? nameKey(name) : '';
+    if (key && warehouseNames.has(key)) return SELLER_CATEGORIES.AMAZON_WAREHOUSE;
+    if (key && amazonNames.has(key)) return SELLER_CATEGORIES.AMAZON;
+
+    return soldByAmazon ? SELLER_CATEGORIES.AMAZON : SELLER_CATEGORIES.THIRD_PARTY;
+}
+
+/**
+ * True for Amazon retail and Amazon Warehouse sellers.
+ */
+export function isAmazonSeller(seller) {
+    return classifySeller(seller) !== SELLER_CATEGORIES.THIRD_PARTY;
+}
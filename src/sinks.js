@@ -0,0 +1,203 @@
+import { createHmac } from 'node:crypto';
+import { csvCell } from './consolidate.js';
+import { delay } from './scraper.js';
+
+/**
+ * Output sinks: stream seller records to external systems alongside the dataset.
+ *
+ * Each sink batches records (`batchSize`, default 1) and sends batches in order
+ * over HTTP, retrying network errors, 429 and 5xx responses with exponential
+ * backoff. A failing sink only logs and counts its failures; it never stops
+ * the scrape or the other sinks.
+ */
+
+/**
+ * POST a body, retrying transient failures. Throws the last error when out of retries.
+ */
+async function postWithRetry(url, { body, headers }, { maxRetries = 3, retryBackoffMs = 1000, timeoutMs = 15000 }) {
+    let lastError;
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        if (attempt > 0) await delay(retryBackoffMs * 2 ** (attempt - 1));
+        try {
+            const response = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(timeoutMs) });
+            if (response.ok) return;
+            lastError = new Error(`HTTP ${response.status} from ${url}`);
+            if (response.status < 500 && response.status !== 429) break;
+        } catch (err) {
+            lastError = err;
+        }
+    }
+    throw lastError;
+}
+
+// Value at a dotted path ("businessAddressParsed.city")
+const valueAt = (record, path) => path.split('.').reduce((value, key) => value?.[key], record);
+
+/**
+ * Fill "{{field}}" placeholders of a mapping template from a record. A value
+ * that is exactly one placeholder keeps the field's type.
+ */
+export function renderTemplate(template, record) {
+    if (typeof template === 'string') {
+        const single = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+        if (single) return valueAt(record, single[1]) ?? null;
+        return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => valueAt(record, path) ?? '');
+    }
+    if (Array.isArray(template)) return template.map(t => renderTemplate(t, record));
+    if (template && typeof template === 'object') {
+        return Object.fromEntries(Object.entries(template).map(([k, t]) => [k, renderTemplate(t, record)]));
+    }
+    return template;
+}
+
+const DEFAULT_CSV_COLUMNS = [
+    'asin', 'marketplace', 'sellerId', 'sellerName', 'businessName', 'phoneNumberE164', 'phoneNumber',
+    'emailNormalized', 'vatNumberNormalized', 'vatValid', 'businessAddress', 'rating', 'positivePercent',
+    'ratingCount', 'scrapedAt',
+];
+
+const DEFAULT_LEAD_MAPPING = {
+    company: '{{businessName}}',
+    phone: '{{phoneNumberE164}}',
+    email: '{{emailNormalized}}',
+    address: '{{businessAddressParsed.street}}',
+    city: '{{businessAddressParsed.city}}',
+    zip: '{{businessAddressParsed.postcode}}',
+    country: '{{businessAddressParsed.country}}',
+    vat_number: '{{vatNumberNormalized}}',
+    amazon_seller_name: '{{sellerDisplayName}}',
+    amazon_marketplace: '{{marketplace}}',
+};
+
+// ── Sink Types ─────────────────────────────────────────────────────────
+// A sink factory takes the sink's input config and returns { send(records) },
+// which resolves to the number of records in the delivered payload and throws
+// otherwise.
+
+const OUTPUT_SINKS = {
+    // JSON batches, HMAC-SHA256 signed over the raw body when `secret` is set
+    webhook: ({ url, secret, headers = {}, ...retry }) => ({
+        async send(records) {
+            const body = JSON.stringify({ records });
+            const signature = secret
+                ? { 'X-Signature-256': `sha256=${createHmac('sha256', secret).update(body).digest('hex')}` }
+                : {};
+            await postWithRetry(url, {
+                body,
+                headers: { 'Content-Type': 'application/json', ...signature, ...headers },
+            }, retry);
+            return records.length;
+        },
+    }),
+
+    // CSV rows appended to a sheet-style endpoint; the header row goes with the first delivered batch
+    csv: ({ url, columns = DEFAULT_CSV_COLUMNS, includeHeader = true, headers = {}, ...retry }) => {
+        let headerSent = !includeHeader;
+        const cell = value => csvCell(value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+        return {
+            async send(records) {
+                const rows = records.map(r => columns.map(c => cell(valueAt(r, c))).join(','));
+                if (!headerSent) rows.unshift(columns.map(csvCell).join(','));
+                await postWithRetry(url, {
+                    body: `${rows.join('\n')}\n`,
+                    headers: { 'Content-Type': 'text/csv; charset=utf-8', ...headers },
+                }, retry);
+                headerSent = true;
+                return records.length;
+            },
+        };
+    },
+
+    // CRM batch upsert ({ inputs: [{ idProperty, id, properties }] }, HubSpot-style), properties from `mapping`.
+    // Only scraped profiles become leads; empty properties are left out so they don't clear CRM values.
+    lead: ({ url, mapping = DEFAULT_LEAD_MAPPING, idField = 'sellerId', idProperty = 'amazon_seller_id',
+        headers = {}, ...retry }) => ({
+        async send(records) {
+            // One input per ID: the last record of a seller in the batch wins
+            const inputs = new Map();
+            for (const record of records) {
+                const id = valueAt(record, idField);
+                if (!id || record.status !== 'ok') continue;
+                const properties = Object.fromEntries(Object.entries(renderTemplate(mapping, record))
+                    .filter(([, value]) => value !== null && value !== undefined));
+                inputs.set(id, { idProperty, id, properties });
+            }
+            if (inputs.size === 0) return 0;
+            await postWithRetry(url, {
+                body: JSON.stringify({ inputs: [...inputs.values()] }),
+                headers: { 'Content-Type': 'application/json', ...headers },
+            }, retry);
+            return inputs.size;
+        },
+    }),
+};
+
+/**
+ * Register a sink factory under a type name usable in the `outputSinks` input.
+ */
+export function registerOutputSink(type, factory) {
+    OUTPUT_SINKS[type] = factory;
+}
+
+/**
+ * Create the sinks configured in the `outputSinks` input, e.g.
+ * [{ type: 'webhook', url, secret, batchSize: 20 }, { type: 'lead', url, mapping, headers }].
+ *
+ * @param {object[]} configs
+ * @param {object} options
+ * @param {object} options.log
+ */
+export function createOutputSinks(configs, { log }) {
+    const sinks = configs.map((config, i) => {
+        const factory = OUTPUT_SINKS[config.type];
+        if (!factory) {
+            throw new Error(`Unknown output sink type "${config.type}", expected one of: ${Object.keys(OUTPUT_SINKS).join(', ')}`);
+        }
+        if (!config.url) throw new Error(`Output sink #${i + 1} (${config.type}) needs a "url"`);
+
+        const { type, batchSize = 1, ...options } = config;
+        return {
+            name: `${type}#${i + 1}`,
+            sender: factory(options),
+            batchSize,
+            buffer: [],
+            queue: Promise.resolve(),
+            sent: 0,
+            failed: 0,
+        };
+    });
+
+    // Batches of one sink are sent one after another, without blocking the caller
+    const dispatch = (sink, records) => {
+        sink.queue = sink.queue
+            .then(() => sink.sender.send(records))
+            // Sinks registered without a count are taken to have sent the whole batch
+            .then(delivered => { sink.sent += delivered ?? records.length; }, err => {
+                sink.failed += records.length;
+                log.warning(`Output sink ${sink.name} failed to deliver ${records.length} record(s): ${err.message}`);
+            });
+    };
+
+    return {
+        /** Queue one record on every sink. */
+        push(record) {
+            for (const sink of sinks) {
+                sink.buffer.push(record);
+                if (sink.buffer.length >= sink.batchSize) dispatch(sink, sink.buffer.splice(0));
+            }
+        },
+
+        /** Send partial batches and wait for every sink to finish. */
+        async flush() {
+            for (const sink of sinks) {
+                if (sink.buffer.length > 0) dispatch(sink, sink.buffer.splice(0));
+            }
+            await Promise.all(sinks.map(s => s.queue));
+        },
+
+        /** Delivery counts per sink. */
+        stats() {
+            return sinks.map(({ name, sent, failed }) => ({ name, sent, failed }));
+        },
+    };
+}
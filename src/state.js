@@ -0,0 +1,68 @@
+import { Actor } from 'apify';
+
+const STATE_KEY = 'RUN_STATE';
+
+/**
+ * Load the run checkpoint from the default key-value store.
+ *
+ * The checkpoint survives migrations and resurrected runs, so a restarted run
+ * can skip finished (asin, marketplace) pairs, avoid pushing records twice and
+ * keep the `isDuplicate` flags and summary counters consistent.
+ */
+export async function loadRunState() {
+    const saved = await Actor.getValue(STATE_KEY) ?? {};
+    return {
+        startedAt: saved.startedAt ?? new Date().toISOString(), // start of the first attempt of this run
+        completedOffers: new Set(saved.completedOffers ?? []), // "ASIN|MK"
+        readListings: new Set(saved.readListings ?? []), // "ASIN|MK" whose seller list was read (see extractAllSellers)
+        pushedRecords: new Set(saved.pushedRecords ?? []), // "ASIN|MK|sellerId", "ASIN|MK|offers", "ASIN|MK|attempt" or "blocked|url"
+        sellersSeen: new Map(Object.entries(saved.sellersSeen ?? {})), // sellerId -> first marketplace found
+        pendingSightings: new Map(Object.entries(saved.pendingSightings ?? {})), // "MK-sellerId" -> [{ asin, sellerName, sellerCategory }]
+        failedProfiles: new Map(Object.entries(saved.failedProfiles ?? {})), // "MK-sellerId" -> { blockType, error }
+        discoveredAsins: new Set(saved.discoveredAsins ?? []), // "ASIN|MK" found by search/category/bestseller discovery
+        marketplaceStats: saved.marketplaceStats ?? {}, // MK -> { attempts: { status: n }, sellerRecords, offers }
+        counters: {
+            totalRecords: 0,
+            withPhone: 0,
+            withEmail: 0,
+            fromCache: 0,
+            offers: 0,
+            blocked: 0,
+            ...saved.counters,
+        },
+        resumed: Object.keys(saved).length > 0,
+    };
+}
+
+/**
+ * Write the run checkpoint to the default key-value store.
+ */
+export async function persistRunState(state) {
+    await Actor.setValue(STATE_KEY, {
+        startedAt: state.startedAt,
+        completedOffers: [...state.completedOffers],
+        readListings: [...state.readListings],
+        pushedRecords: [...state.pushedRecords],
+        sellersSeen: Object.fromEntries(state.sellersSeen),
+        pendingSightings: Object.fromEntries(state.pendingSightings),
+        failedProfiles: Object.fromEntries(state.failedProfiles),
+        discoveredAsins: [...state.discoveredAsins],
+        marketplaceStats: state.marketplaceStats,
+        counters: state.counters,
+    });
+}
+
+/**
+ * Per-marketplace counters for the run summary, created on first use.
+ */
+export function marketplaceStats(state, marketplaceCode) {
+    state.marketplaceStats[marketplaceCode] ??= { attempts: {}, sellerRecords: 0, offers: 0 };
+    return state.marketplaceStats[marketplaceCode];
+}
+
+/**
+ * Key of one (asin, marketplace) unit of work.
+ */
+export function offerKey(asin, marketplaceCode) {
+    return `${asin}|${marketplaceCode}`;
+}
@@ -0,0 +1,25 @@
+import { delay } from './scraper.js';
+
+/**
+ * Per-domain request throttle.
+ *
+ * Each call reserves the next free slot for the domain, so concurrent pages
+ * hitting the same Amazon domain are spaced at least `delayMs` apart while
+ * other domains proceed independently.
+ *
+ * @param {object} options
+ * @param {number} options.defaultDelay - Minimum gap between requests to one domain (ms).
+ * @param {Object<string, number>} [options.delays] - Per-domain overrides (ms).
+ * @returns {(domain: string) => Promise<void>}
+ */
+export function createDomainThrottle({ defaultDelay, delays = {} }) {
+    const nextSlot = new Map(); // domain -> timestamp of next free slot
+
+    return async function throttle(domain) {
+        const delayMs = delays[domain] ?? defaultDelay;
+        const now = Date.now();
+        const slot = Math.max(now, nextSlot.get(domain) ?? 0);
+        nextSlot.set(domain, slot + delayMs);
+        if (slot > now) await delay(slot - now);
+    };
+}
@@ -0,0 +1,70 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fakePage, loadFixture, silentLog } from './helpers.js';
+
+// The crawler's request queue must live in a scratch directory, set before crawlee is loaded
+const storageDir = mkdtempSync(path.join(tmpdir(), 'blocking-test-'));
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+const { BasicCrawler, log } = await import('crawlee');
+const { BLOCK_TYPES, createBlockCheckHook, createCaptchaSolver, detectBlock } = await import('../src/blocking.js');
+
+after(() => rmSync(storageDir, { recursive: true, force: true }));
+
+const response = status => ({ status: () => status });
+
+describe('detectBlock', () => {
+    it('detects the CAPTCHA form', async () => {
+        const page = fakePage(loadFixture('UK/captcha.html', 'https://www.amazon.co.uk/gp/offer-listing/B07YDVWL4J'));
+        assert.equal(await detectBlock(page, response(200)), BLOCK_TYPES.CAPTCHA);
+    });
+
+    it('detects the robot check page', async () => {
+        const page = fakePage(loadFixture('UK/robot-check.html', 'https://www.amazon.co.uk/sp?seller=A1BRIGHTLINE01'));
+        assert.equal(await detectBlock(page, response(200)), BLOCK_TYPES.ROBOT_CHECK);
+    });
+
+    it('treats a 503 response as a block', async () => {
+        const page = fakePage(loadFixture('UK/not-found.html', 'https://www.amazon.co.uk/gp/offer-listing/B07YDVWL4J'));
+        assert.equal(await detectBlock(page, response(503)), BLOCK_TYPES.SERVICE_UNAVAILABLE);
+    });
+
+    it('lets normal and "Page Not Found" pages through', async () => {
+        for (const file of ['UK/offers-aag.html', 'UK/seller-profile.html', 'UK/not-found.html']) {
+            const page = fakePage(loadFixture(file));
+            assert.equal(await detectBlock(page, response(200)), null, file);
+        }
+    });
+});
+
+describe('createBlockCheckHook', () => {
+    it('allows maxBlockRetries session rotations on top of the ordinary retries', async () => {
+        log.setLevel(log.LEVELS.OFF);
+        const captchaPage = fakePage(loadFixture('UK/captcha.html', 'https://www.amazon.co.uk/gp/offer-listing/B07YDVWL4J'));
+        const hook = createBlockCheckHook({ solver: createCaptchaSolver('none'), maxRequestRetries: 2 });
+        const attempts = { blocked: 0, failing: 0 };
+        const failures = {};
+
+        const crawler = new BasicCrawler({
+            maxRequestRetries: 2,
+            maxSessionRotations: 5,
+            requestHandler: async ({ request }) => {
+                attempts[request.label]++;
+                if (request.label === 'failing') throw new Error('Navigation timed out');
+                await hook({ page: captchaPage, response: response(200), request, log: silentLog });
+            },
+            failedRequestHandler: async ({ request }) => {
+                failures[request.label] = request.userData.blockType ?? null;
+            },
+        });
+        await crawler.run([
+            { url: 'https://www.amazon.co.uk/gp/offer-listing/B07YDVWL4J', label: 'blocked' },
+            { url: 'https://www.amazon.co.uk/gp/offer-listing/B08N5WRWNW', label: 'failing' },
+        ]);
+
+        assert.deepEqual(attempts, { blocked: 6, failing: 3 });
+        assert.deepEqual(failures, { blocked: BLOCK_TYPES.CAPTCHA, failing: null });
+    });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSellerAggregator, csvCell, normalizeBusinessName, sellersToCsv } from '../src/consolidate.js';
+
+const record = (sellerId, marketplace, fields = {}) => ({
+    status: 'ok',
+    asin: 'B07YDVWL4J',
+    marketplace,
+    sellerId,
+    sellerName: 'Ladewelt',
+    businessName: 'Ladewelt GmbH',
+    vatNumberNormalized: 'DE811115368',
+    vatValid: true,
+    phoneNumberE164: '+493012345678',
+    ...fields,
+});
+
+const consolidate = records => {
+    const aggregator = createSellerAggregator();
+    records.forEach(r => aggregator.add(r));
+    return aggregator.entities();
+};
+
+describe('normalizeBusinessName', () => {
+    it('drops case, accents, punctuation and legal forms', () => {
+        assert.equal(normalizeBusinessName('Müller Trading GmbH & Co. KG'), 'mullertrading');
+        assert.equal(normalizeBusinessName('MULLER TRADING LTD'), 'mullertrading');
+        assert.equal(normalizeBusinessName('AB Ltd'), null);
+    });
+});
+
+describe('createSellerAggregator', () => {
+    it('merges seller IDs sharing a business name or a valid VAT number', () => {
+        const entities = consolidate([
+            record('A1', 'DE'),
+            record('A2', 'UK', { businessName: 'LADEWELT LIMITED', vatNumberNormalized: 'GB123456789', asin: 'B08N5WRWNW' }),
+            record('A3', 'FR', { businessName: 'Volt Distribution SAS', vatNumberNormalized: 'DE811115368' }),
+            record('A4', 'IT', { businessName: 'Casa Digitale S.r.l.', vatNumberNormalized: 'DE811115368', vatValid: false }),
+        ]);
+
+        assert.deepEqual(entities.map(e => e.sellerIds), [['A1', 'A2', 'A3'], ['A4']]);
+        assert.deepEqual(entities[0].marketplaces, ['DE', 'UK', 'FR']);
+        assert.deepEqual(entities[0].asins, ['B07YDVWL4J', 'B08N5WRWNW']);
+    });
+
+    it('prefers valid values, then the value seen on most marketplaces', () => {
+        const [entity] = consolidate([
+            record('A1', 'DE', { phoneNumberE164: '+493099999999', vatNumberNormalized: 'DE000000000', vatValid: false }),
+            record('A1', 'AT', { phoneNumberE164: '+493012345678' }),
+            record('A1', 'UK', { phoneNumberE164: '+49 30 1234 5678' }),
+        ]);
+
+        assert.deepEqual(entity.phoneNumber, { value: '+493012345678', marketplace: 'AT' });
+        assert.deepEqual(entity.vatNumber, { value: 'DE811115368', marketplace: 'AT' });
+        assert.deepEqual(entity.conflicts.find(c => c.field === 'phoneNumber').values, [
+            { value: '+493099999999', marketplaces: ['DE'] },
+            { value: '+493012345678', marketplaces: ['AT', 'UK'] },
+        ]);
+    });
+
+    it('counts blocked listings but not blocked storefront pages as sightings', () => {
+        const [entity] = consolidate([
+            record('A1', 'DE'),
+            { status: 'blocked', asin: 'B08N5WRWNW', marketplace: 'FR', sellerId: 'A1', sellerName: 'Ladewelt' },
+            { status: 'blocked', requestType: 'STOREFRONT', asin: null, marketplace: 'IT', sellerId: 'A1' },
+        ]);
+
+        assert.deepEqual(entity.marketplaces, ['DE', 'FR']);
+        assert.deepEqual(entity.ratings.map(r => r.marketplace), ['DE']);
+    });
+});
+
+describe('sellersToCsv', () => {
+    it('writes one row per entity with source marketplaces', () => {
+        const csv = sellersToCsv(consolidate([
+            record('A1', 'DE', { businessAddress: 'Hauptstraße 5\r\nBerlin' }),
+        ]));
+        const [header, row] = csv.split('\n');
+
+        assert.ok(header.startsWith('entityId,sellerIds,sellerNames,marketplaces,asinCount,asins,businessName,businessNameMarketplace,'));
+        assert.ok(row.startsWith('A1,A1,Ladewelt,DE,1,B07YDVWL4J,Ladewelt GmbH,DE,'));
+        assert.ok(csv.includes(',"Hauptstraße 5\r'));
+    });
+});
+
+describe('csvCell', () => {
+    it('quotes separators, quotes and line breaks', () => {
+        assert.equal(csvCell('plain'), 'plain');
+        assert.equal(csvCell('a, b'), '"a, b"');
+        assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+        assert.equal(csvCell('line\rbreak'), '"line\rbreak"');
+        assert.equal(csvCell(null), '');
+    });
+});
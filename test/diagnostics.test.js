@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ATTEMPT_STATUS, failureStatus } from '../src/diagnostics.js';
+import { BLOCK_TYPES } from '../src/blocking.js';
+
+describe('failureStatus', () => {
+    it('gives every block type its own status', () => {
+        const statuses = Object.values(BLOCK_TYPES).map(blockType => failureStatus(new Error('Blocked'), blockType));
+        assert.deepEqual(statuses, [ATTEMPT_STATUS.CAPTCHA, ATTEMPT_STATUS.SERVICE_UNAVAILABLE, ATTEMPT_STATUS.ROBOT_CHECK]);
+    });
+
+    it('tells timeouts and network errors from parse failures', () => {
+        const timeout = new Error('Timeout 45000ms exceeded.');
+        timeout.name = 'TimeoutError';
+        assert.equal(failureStatus(timeout), ATTEMPT_STATUS.TIMEOUT);
+        assert.equal(failureStatus(new Error('Navigation timed out after 45 seconds.')), ATTEMPT_STATUS.TIMEOUT);
+
+        for (const message of [
+            'page.goto: net::ERR_PROXY_CONNECTION_FAILED at https://www.amazon.de/dp/B07YDVWL4J',
+            'page.goto: net::ERR_CONNECTION_RESET',
+            'read ECONNRESET',
+            'getaddrinfo ENOTFOUND proxy.apify.com',
+            'socket hang up',
+        ]) {
+            assert.equal(failureStatus(new Error(message)), ATTEMPT_STATUS.NETWORK_ERROR, message);
+        }
+
+        assert.equal(failureStatus(new Error("Cannot read properties of null (reading 'textContent')")), ATTEMPT_STATUS.PARSE_FAILED);
+    });
+});
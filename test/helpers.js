@@ -0,0 +1,83 @@
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+/**
+ * Offline test helpers: load saved Amazon pages into jsdom and run the
+ * scraper's in-page code against them the way Playwright would.
+ */
+
+const FIXTURES_DIR = new URL('./fixtures/', import.meta.url);
+
+const BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BODY', 'DD', 'DIV', 'DL', 'DT', 'FIELDSET', 'FIGURE', 'FOOTER',
+    'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION',
+    'TABLE', 'TBODY', 'THEAD', 'TFOOT', 'TR', 'UL',
+]);
+const HIDDEN_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD']);
+
+// jsdom has no layout, so no innerText: approximate it with one line per block element
+function renderText(node) {
+    if (node.nodeType === 3) return node.data.replace(/\s+/g, ' ');
+    if (node.nodeType !== 1 || HIDDEN_TAGS.has(node.tagName)) return '';
+    if (node.tagName === 'BR') return '\n';
+
+    const inner = Array.from(node.childNodes).map(renderText).join('');
+    if (BLOCK_TAGS.has(node.tagName)) return `\n${inner}\n`;
+    if (node.tagName === 'TD' || node.tagName === 'TH') return `${inner}\t`;
+    return inner;
+}
+
+/**
+ * Load `test/fixtures/<file>` as if it had been served from `url`.
+ */
+export function loadFixture(file, url = 'https://www.amazon.co.uk/') {
+    const html = readFileSync(new URL(file, FIXTURES_DIR), 'utf8');
+    const dom = new JSDOM(html, { url, runScripts: 'outside-only' });
+
+    Object.defineProperty(dom.window.HTMLElement.prototype, 'innerText', {
+        get() {
+            return renderText(this).split('\n')
+                .map(line => line.replace(/[ \t]+/g, ' ').trim())
+                .filter(Boolean)
+                .join('\n');
+        },
+    });
+    return dom;
+}
+
+/**
+ * Run a function inside the page, serialized like page.evaluate() does, so
+ * functions that reach outside their own body fail here too.
+ */
+export function evaluate(dom, fn, arg) {
+    const result = dom.window.eval(`(${fn.toString()})(${JSON.stringify(arg)})`);
+    return result === undefined ? undefined : JSON.parse(dom.window.JSON.stringify(result));
+}
+
+/**
+ * The part of Playwright's Page the scraper uses, backed by a jsdom document.
+ * Selectors missing from the fixture time out immediately.
+ */
+export function fakePage(dom) {
+    const { document } = dom.window;
+    return {
+        url: () => dom.window.location.href,
+        title: async () => document.title,
+        evaluate: async (fn, arg) => evaluate(dom, fn, arg),
+        waitForSelector: async selector => {
+            if (!document.querySelector(selector)) throw new Error(`Timeout waiting for selector "${selector}"`);
+        },
+        $: async selector => document.querySelector(selector),
+        $$eval: async (selector, fn) => fn(Array.from(document.querySelectorAll(selector))),
+    };
+}
+
+/**
+ * Logger that swallows everything.
+ */
+export const silentLog = {
+    debug() {},
+    info() {},
+    warning() {},
+    error() {},
+};
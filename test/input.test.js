@@ -0,0 +1,153 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { MARKETPLACES } from '../src/constants.js';
+import { silentLog } from './helpers.js';
+
+// Local storage must point at a scratch directory before apify is loaded
+const storageDir = mkdtempSync(path.join(tmpdir(), 'input-test-'));
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+const { Actor } = await import('apify');
+const { loadAsinTargets, parseCsv, toAsinTarget, validateInput } = await import('../src/input.js');
+const { asinFromUrl } = await import('../src/scraper.js');
+
+// CSV files served by path
+const csvFiles = {};
+let server;
+let baseUrl;
+
+before(async () => {
+    server = createServer((req, res) => {
+        if (!(req.url in csvFiles)) return res.writeHead(404).end();
+        res.writeHead(200, { 'Content-Type': 'text/csv' }).end(csvFiles[req.url]);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    rmSync(storageDir, { recursive: true, force: true });
+});
+
+describe('validateInput', () => {
+    it('normalizes ASINs and marketplace codes', () => {
+        const input = validateInput({
+            asins: [' b07ydvwl4j '],
+            marketplaces: ['de', 'uk'],
+            asinMarketplaces: { b08n5wrwnw: ['fr'] },
+            domainDelays: { jp: 5000 },
+            maxConcurrency: 3,
+        });
+        assert.deepEqual(input.asins, ['B07YDVWL4J']);
+        assert.deepEqual(input.marketplaces, ['DE', 'UK']);
+        assert.deepEqual(input.asinMarketplaces, { B08N5WRWNW: ['FR'] });
+        assert.deepEqual(input.domainDelays, { JP: 5000 });
+    });
+
+    it('lists every problem in one error', () => {
+        assert.throws(() => validateInput({
+            asins: ['B07YDVWL4J', 'B07'],
+            marketplaces: ['DE', 'XX'],
+            productUrls: ['https://example.com/dp/B07YDVWL4J'],
+            maxConcurrency: 0,
+            sellerCacheTtlDays: -1,
+            maxFeedbackEntries: 5000,
+            offerCondition: 'mint',
+            sellerIds: 'A1SELLER',
+        }), err => {
+            assert.equal(err.message, [
+                'Invalid input:',
+                '  - "sellerIds" must be an array of strings',
+                '  - Malformed ASIN(s) in "asins": "B07" (expected 10 letters/digits)',
+                `  - Unknown marketplace code(s) "XX" in "marketplaces", expected: ${MARKETPLACES.map(m => m.code).join(', ')}`,
+                '  - "productUrls" entry is not a product URL on a supported marketplace: https://example.com/dp/B07YDVWL4J',
+                '  - "maxFeedbackEntries" must be at most 100',
+                '  - "maxConcurrency" must be a positive integer',
+                '  - "sellerCacheTtlDays" must be a non-negative number',
+                '  - Unknown offerCondition "mint", expected one of: new, used, all',
+            ].join('\n'));
+            return true;
+        });
+    });
+});
+
+describe('parseCsv', () => {
+    it('reads quoted fields with separators, quotes and line breaks', () => {
+        assert.deepEqual(parseCsv('asin,note\r\nB07YDVWL4J,"USB-C, 20W"\n"B08N5WRWNW","say ""hi""\nbye"\n\n'), [
+            ['asin', 'note'],
+            ['B07YDVWL4J', 'USB-C, 20W'],
+            ['B08N5WRWNW', 'say "hi"\nbye'],
+        ]);
+    });
+
+    it('detects semicolon separated files', () => {
+        assert.deepEqual(parseCsv('asin;marketplaces\nB07YDVWL4J;DE|FR'), [['asin', 'marketplaces'], ['B07YDVWL4J', 'DE|FR']]);
+    });
+});
+
+describe('asinFromUrl', () => {
+    it('reads the ASIN of the common product URL shapes', () => {
+        assert.equal(asinFromUrl('https://www.amazon.de/Ladeger%C3%A4t/dp/b07ydvwl4j/ref=sr_1_1?th=1'), 'B07YDVWL4J');
+        assert.equal(asinFromUrl('https://www.amazon.co.uk/gp/product/B07YDVWL4J'), 'B07YDVWL4J');
+        assert.equal(asinFromUrl('https://www.amazon.com/gp/offer-listing/B07YDVWL4J?condition=new'), 'B07YDVWL4J');
+        assert.equal(asinFromUrl('https://www.amazon.com/s?k=charger'), null);
+        assert.equal(asinFromUrl('not a url'), null);
+    });
+});
+
+describe('toAsinTarget', () => {
+    it('takes the ASIN from the asin or url column', () => {
+        assert.deepEqual(toAsinTarget({ asin: ' b07ydvwl4j ', marketplaces: 'de; fr' }), { asin: 'B07YDVWL4J', marketplaces: ['DE', 'FR'] });
+        assert.deepEqual(toAsinTarget({ url: 'https://www.amazon.fr/dp/B07YDVWL4J' }), { asin: 'B07YDVWL4J', marketplaces: ['FR'] });
+        assert.deepEqual(toAsinTarget({ asin: 'https://www.amazon.it/dp/B07YDVWL4J', marketplaces: ['DE'] }),
+            { asin: 'B07YDVWL4J', marketplaces: ['DE'] });
+        assert.deepEqual(toAsinTarget({ asin: 'B07YDVWL4J' }), { asin: 'B07YDVWL4J', marketplaces: null });
+    });
+
+    it('rejects malformed ASINs and unknown marketplaces', () => {
+        assert.equal(toAsinTarget({ asin: 'B07' }), null);
+        assert.equal(toAsinTarget({ asin: 'B07YDVWL4J', marketplaces: 'DE|XX' }), null);
+        assert.equal(toAsinTarget({}), null);
+    });
+});
+
+describe('loadAsinTargets', () => {
+    const asObject = targets => Object.fromEntries([...targets].map(([asin, codes]) => [asin, codes && [...codes]]));
+
+    it('merges every ASIN source, with asinMarketplaces last', async () => {
+        csvFiles['/asins.csv'] = 'Marketplaces,ASIN\nDE|FR,B08N5WRWNW\n,https://www.amazon.es/dp/B09B8V1LZ3\nXX,B0C1234567\n';
+        const dataset = await Actor.openDataset('input-test');
+        await dataset.pushData([{ ASIN: 'B08N5WRWNW', marketplace: 'IT' }, { url: 'https://www.amazon.co.jp/dp/B0D7654321' }]);
+
+        const targets = await loadAsinTargets({
+            asins: ['B07YDVWL4J'],
+            productUrls: ['https://www.amazon.de/dp/B0C9999999'],
+            asinsCsvUrl: `${baseUrl}/asins.csv`,
+            asinsDatasetId: 'input-test',
+            asinMarketplaces: { B07YDVWL4J: ['UK'] },
+        }, silentLog);
+
+        assert.deepEqual(asObject(targets), {
+            B07YDVWL4J: ['UK'],
+            B0C9999999: ['DE'],
+            B08N5WRWNW: ['DE', 'FR', 'IT'],
+            B09B8V1LZ3: ['ES'],
+            B0D7654321: ['JP'],
+        });
+    });
+
+    it('uses the first column of a CSV without header', async () => {
+        csvFiles['/plain.csv'] = 'B07YDVWL4J\nB08N5WRWNW\n';
+        const targets = await loadAsinTargets({ asinsCsvUrl: `${baseUrl}/plain.csv` }, silentLog);
+        assert.deepEqual(asObject(targets), { B07YDVWL4J: null, B08N5WRWNW: null });
+    });
+
+    it('fails when the CSV cannot be downloaded', async () => {
+        await assert.rejects(loadAsinTargets({ asinsCsvUrl: `${baseUrl}/missing.csv` }, silentLog),
+            /Could not download "asinsCsvUrl" \(HTTP 404\)/);
+    });
+});
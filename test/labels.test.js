@@ -0,0 +1,294 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MARKETPLACES } from '../src/constants.js';
+import { parseSellerProfile } from '../src/parsers.js';
+import { evaluate, loadFixture } from './helpers.js';
+
+/**
+ * One saved seller profile per locale, parsed with its marketplace's labels.
+ * `expected` lists the canonical fields and the rating / percent / count values.
+ */
+const PROFILES = [
+    {
+        code: 'DE',
+        expected: {
+            businessName: 'Ladewelt GmbH',
+            businessType: 'Unternehmen in Privatbesitz',
+            tradeRegisterNumber: 'HRB 123456',
+            vatNumber: 'DE123456789',
+            phoneNumber: '+49 30 12345678',
+            email: 'info@ladewelt.example',
+            businessAddress: 'Hauptstraße 5, Berlin, 10115, DE',
+            rating: 4.8,
+            positivePercent: 97,
+            ratingCount: 2345,
+        },
+    },
+    {
+        code: 'ES',
+        expected: {
+            businessName: 'Electro Sol S.L.',
+            businessType: 'Empresa privada',
+            tradeRegisterNumber: 'B12345678',
+            vatNumber: 'ESB12345678',
+            phoneNumber: '+34 912 345 678',
+            email: 'ventas@electrosol.example',
+            businessAddress: 'Calle Mayor 10, Madrid, 28013, ES',
+            rating: 4.6,
+            positivePercent: 95,
+            ratingCount: 876,
+        },
+    },
+    {
+        code: 'IT',
+        expected: {
+            businessName: 'Casa Digitale S.r.l.',
+            businessType: 'Azienda privata',
+            tradeRegisterNumber: 'MI-1234567',
+            vatNumber: 'IT12345678901',
+            phoneNumber: '+39 02 1234 5678',
+            email: 'info@casadigitale.example',
+            businessAddress: 'Via Roma 22, Milano, 20121, IT',
+            rating: 4.5,
+            positivePercent: 93,
+            ratingCount: 1102,
+        },
+    },
+    {
+        code: 'PL',
+        expected: {
+            businessName: 'Sklep Wolt Sp. z o.o.',
+            businessType: 'Firma prywatna',
+            tradeRegisterNumber: '0000123456',
+            vatNumber: 'PL5260250995',
+            phoneNumber: '+48 22 123 45 67',
+            email: 'kontakt@sklepwolt.example',
+            businessAddress: 'ul. Marszałkowska 1, Warszawa, 00-001, PL',
+            rating: 4.9,
+            positivePercent: 98,
+            ratingCount: 1534,
+        },
+    },
+    {
+        code: 'SE',
+        expected: {
+            businessName: 'Nordladd AB',
+            businessType: 'Privatägt företag',
+            tradeRegisterNumber: '556123-4567',
+            vatNumber: 'SE556123456701',
+            phoneNumber: '+46 8 123 456 78',
+            email: 'order@nordladd.example',
+            businessAddress: 'Drottninggatan 12, Stockholm, 111 51, SE',
+            rating: 4.4,
+            positivePercent: 91,
+            ratingCount: 1205,
+        },
+    },
+    {
+        code: 'NL',
+        expected: {
+            businessName: 'Laadpunt B.V.',
+            businessType: 'Particulier bedrijf',
+            tradeRegisterNumber: '12345678',
+            vatNumber: 'NL123456789B01',
+            phoneNumber: '+31 20 123 4567',
+            email: 'service@laadpunt.example',
+            businessAddress: 'Damrak 1, Amsterdam, 1012 LG, NL',
+            rating: 4.7,
+            positivePercent: 96,
+            ratingCount: 412,
+        },
+    },
+    {
+        code: 'TR',
+        expected: {
+            businessName: 'Şarj Dünyası Ltd. Şti.',
+            businessType: 'Özel şirket',
+            tradeRegisterNumber: '123456',
+            vatNumber: '1234567890',
+            phoneNumber: '+90 212 123 45 67',
+            email: 'destek@sarjdunyasi.example',
+            businessAddress: 'Büyükdere Cad. No 100, İstanbul, 34394, TR',
+            rating: 4.7,
+            positivePercent: 95,
+            ratingCount: 1234,
+        },
+    },
+    {
+        code: 'JP',
+        expected: {
+            businessName: '株式会社サンプル電機',
+            tradeRegisterNumber: '1234567890123',
+            vatNumber: 'T1234567890123',
+            phoneNumber: '03-1234-5678',
+            email: 'info@sample-denki.example',
+            businessAddress: '渋谷区道玄坂1-2-3, 東京都, 150-0043, JP',
+            rating: 4.6,
+            positivePercent: 95,
+            ratingCount: 1234,
+        },
+    },
+    {
+        code: 'SA',
+        expected: {
+            businessName: 'مؤسسة النخبة للتجارة',
+            businessType: 'شركة خاصة',
+            tradeRegisterNumber: '1010123456',
+            vatNumber: '300123456700003',
+            phoneNumber: '+966 11 123 4567',
+            email: 'info@alnokhba.example',
+            businessAddress: 'طريق الملك فهد, الرياض, 12345, SA',
+            rating: 4.5,
+            positivePercent: 92,
+            ratingCount: 856,
+        },
+    },
+    {
+        code: 'FR',
+        expected: {
+            businessName: 'Maison Volt SAS',
+            businessType: 'Entreprise privée',
+            tradeRegisterNumber: '732 829 320 00074',
+            vatNumber: 'FR40303265045',
+            phoneNumber: '+33 1 23 45 67 89',
+            email: 'contact@maisonvolt.example',
+            businessAddress: '12 rue de Rivoli, Paris, 75001, FR',
+            rating: 4.6,
+            positivePercent: 94,
+            ratingCount: 2345,
+        },
+    },
+    {
+        code: 'IN',
+        expected: {
+            businessName: 'Cloudtail Electronics Pvt Ltd',
+            businessType: 'Private Limited Company',
+            taxId: '29ABCDE1234F1Z5',
+            taxIdLabel: 'GSTIN',
+            vatNumber: undefined,
+            phoneNumber: '+91 80 4123 4567',
+            email: 'care@cloudtail.example',
+            businessAddress: 'No. 42, 3rd Cross, Indiranagar, Bengaluru, Karnataka, 560038, IN',
+            rating: 4.2,
+            positivePercent: 88,
+            ratingCount: 5678,
+        },
+    },
+    {
+        // English page with the French dictionary first
+        code: 'CA',
+        expected: {
+            businessName: 'Maple Power Inc.',
+            businessType: 'Privately-owned business',
+            tradeRegisterNumber: '1234567-8',
+            phoneNumber: '+1 416 555 0199',
+            email: 'orders@maplepower.example',
+            businessAddress: '100 King St W, Toronto, ON, M5X 1A9, CA',
+            rating: 4.6,
+            positivePercent: 94,
+            ratingCount: 1987,
+        },
+    },
+    {
+        code: 'MX',
+        expected: {
+            businessName: 'Electrónica Azteca S.A. de C.V.',
+            businessType: 'Empresa privada',
+            taxId: 'EAZ010203AB4',
+            taxIdLabel: 'RFC',
+            phoneNumber: '+52 55 1234 5678',
+            email: 'ventas@azteca.example',
+            businessAddress: 'Av. Paseo de la Reforma 222, Ciudad de México, CDMX, 06600, MX',
+            rating: 4.5,
+            positivePercent: 93,
+            ratingCount: 1432,
+        },
+    },
+    {
+        code: 'BR',
+        expected: {
+            businessName: 'Carga Rápida Comércio Ltda',
+            businessType: 'Empresa privada',
+            taxId: '12.345.678/0001-95',
+            taxIdLabel: 'CNPJ',
+            phoneNumber: '+55 11 91234-5678',
+            email: 'contato@cargarapida.example',
+            businessAddress: 'Av. Paulista, 1000, São Paulo, SP, 01310-100, BR',
+            rating: 4.7,
+            positivePercent: 96,
+            ratingCount: 1234,
+        },
+    },
+    {
+        code: 'AU',
+        expected: {
+            businessName: 'Southern Cross Electronics Pty Ltd',
+            taxId: '51 824 753 556',
+            taxIdLabel: 'ABN',
+            phoneNumber: '+61 2 9876 5432',
+            email: 'help@southerncross.example',
+            businessAddress: 'Level 5, 100 George St, Sydney, NSW, 2000, AU',
+            rating: 4.4,
+            positivePercent: 90,
+            ratingCount: 789,
+        },
+    },
+    {
+        code: 'SG',
+        expected: {
+            businessName: 'Lion City Gadgets Pte. Ltd.',
+            taxId: '201912345K',
+            taxIdLabel: 'UEN',
+            phoneNumber: '+65 6123 4567',
+            email: 'hello@lioncity.example',
+            businessAddress: '1 Raffles Place, #20-01, Singapore, 048616, SG',
+            rating: 4.3,
+            positivePercent: 89,
+            ratingCount: 321,
+        },
+    },
+    {
+        code: 'EG',
+        expected: {
+            businessName: 'شركة النيل للإلكترونيات',
+            businessType: 'شركة خاصة',
+            tradeRegisterNumber: '123456',
+            taxId: '123-456-789',
+            taxIdLabel: 'رقم التسجيل الضريبي',
+            phoneNumber: '+20 2 2345 6789',
+            email: 'info@nile.example',
+            businessAddress: 'شارع التحرير 15, القاهرة, 11511, EG',
+            rating: 4.4,
+            positivePercent: 91,
+            ratingCount: 645,
+        },
+    },
+    {
+        // Business name and address without the "Detailed Seller Information" heading
+        code: 'US',
+        hasDetailedInfo: false,
+        expected: {
+            businessName: 'Gadget Outlet LLC',
+            businessAddress: '1200 Commerce Dr, Suite 300, Austin, TX, 78701, US',
+            phoneNumber: undefined,
+            rating: 4.8,
+            positivePercent: 98,
+            ratingCount: 3456,
+        },
+    },
+];
+
+describe('parseSellerProfile with localized labels', () => {
+    for (const { code, hasDetailedInfo = true, expected } of PROFILES) {
+        it(`parses a ${code} profile`, () => {
+            const marketplace = MARKETPLACES.find(m => m.code === code);
+            const dom = loadFixture(`${code}/seller-profile.html`, `https://www.${marketplace.domain}/sp?seller=A1TESTSELLER01`);
+            const info = evaluate(dom, parseSellerProfile, marketplace.labels);
+
+            assert.equal(info.hasDetailedInfo, hasDetailedInfo);
+            for (const [field, value] of Object.entries(expected)) {
+                assert.equal(info[field], value, field);
+            }
+        });
+    }
+});
@@ -0,0 +1,152 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// Local storage must point at a scratch directory before apify is loaded
+const storageDir = mkdtempSync(path.join(tmpdir(), 'monitor-test-'));
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+const { Actor } = await import('apify');
+const { buildSnapshot, CHANGE_TYPES, detectChanges, diffSnapshots } = await import('../src/monitor.js');
+
+after(() => rmSync(storageDir, { recursive: true, force: true }));
+
+/** Dataset stand-in over a list of seller records. */
+const fakeDataset = records => ({ forEach: async fn => records.forEach(fn) });
+
+const record = (asin, sellerId, profile = {}) => ({
+    status: 'ok',
+    asin,
+    marketplace: 'DE',
+    sellerId,
+    sellerName: `Seller ${sellerId}`,
+    businessName: 'Ladewelt GmbH',
+    businessAddress: 'Hauptstraße 5, Berlin, 10115, DE',
+    vatNumberNormalized: 'DE123456789',
+    phoneNumberE164: '+493012345678',
+    rating: 4.8,
+    ...profile,
+});
+
+const snapshot = (sightings, profiles = {}) => ({ takenAt: '2026-10-01T00:00:00.000Z', sightings, profiles });
+
+const profile = (fields = {}) => ({
+    sellerName: 'Ladewelt',
+    businessName: 'Ladewelt GmbH',
+    businessAddress: 'Hauptstraße 5, Berlin, 10115, DE',
+    vatNumber: 'DE123456789',
+    phoneNumber: '+493012345678',
+    rating: 4.8,
+    ...fields,
+});
+
+const diff = (previous, current, completedListings = [], ratingThreshold = 0) =>
+    diffSnapshots(previous, current, { completedListings: new Set(completedListings), ratingThreshold });
+
+describe('buildSnapshot', () => {
+    it('records every sighting but only scraped profiles', async () => {
+        const { sightings, profiles } = await buildSnapshot(fakeDataset([
+            record('B07YDVWL4J', 'A1'),
+            record('B08N5WRWNW', 'A1'),
+            record('B07YDVWL4J', 'A2', { status: 'blocked' }),
+            { status: 'summary' },
+        ]));
+
+        assert.deepEqual(sightings, {
+            'B07YDVWL4J|DE': { A1: 'Seller A1', A2: 'Seller A2' },
+            'B08N5WRWNW|DE': { A1: 'Seller A1' },
+        });
+        assert.deepEqual(Object.keys(profiles), ['DE-A1']);
+        assert.equal(profiles['DE-A1'].vatNumber, 'DE123456789');
+    });
+});
+
+describe('diffSnapshots', () => {
+    it('reports sellers that appeared on or left a read listing', () => {
+        const events = diff(
+            snapshot({ 'B07YDVWL4J|DE': { A1: 'Old Seller' } }),
+            snapshot({ 'B07YDVWL4J|DE': { A2: 'New Seller' } }),
+            ['B07YDVWL4J|DE'],
+        );
+        assert.deepEqual(events.map(e => [e.type, e.asin, e.sellerId, e.sellerName]), [
+            [CHANGE_TYPES.SELLER_APPEARED, 'B07YDVWL4J', 'A2', 'New Seller'],
+            [CHANGE_TYPES.SELLER_DISAPPEARED, 'B07YDVWL4J', 'A1', 'Old Seller'],
+        ]);
+    });
+
+    it('reports the last seller leaving a listing that is now empty', () => {
+        const events = diff(snapshot({ 'B07YDVWL4J|DE': { A1: 'Old Seller' } }), snapshot({}), ['B07YDVWL4J|DE']);
+        assert.deepEqual(events.map(e => [e.type, e.sellerId]), [[CHANGE_TYPES.SELLER_DISAPPEARED, 'A1']]);
+    });
+
+    it('ignores listings that were not read or are new', () => {
+        const events = diff(
+            snapshot({ 'B07YDVWL4J|DE': { A1: 'Old Seller' } }),
+            snapshot({ 'B08N5WRWNW|DE': { A2: 'New Seller' } }),
+            ['B08N5WRWNW|DE'],
+        );
+        assert.deepEqual(events, []);
+    });
+
+    it('compares watched fields, including added and removed values', () => {
+        const events = diff(
+            snapshot({}, { 'DE-A1': profile() }),
+            snapshot({}, { 'DE-A1': profile({
+                businessName: 'LADEWELT GmbH',
+                businessAddress: 'Torstraße 1, Berlin, 10119, DE',
+                vatNumber: null,
+            }), 'DE-A2': profile({ phoneNumber: null }) }),
+        );
+        assert.deepEqual(events.map(e => [e.type, e.sellerId, e.previousValue, e.currentValue]), [
+            [CHANGE_TYPES.ADDRESS_CHANGED, 'A1', 'Hauptstraße 5, Berlin, 10115, DE', 'Torstraße 1, Berlin, 10119, DE'],
+            [CHANGE_TYPES.VAT_CHANGED, 'A1', 'DE123456789', null],
+        ]);
+
+        const added = diff(snapshot({}, { 'DE-A1': profile({ phoneNumber: null }) }), snapshot({}, { 'DE-A1': profile() }));
+        assert.deepEqual(added.map(e => [e.type, e.previousValue, e.currentValue]),
+            [[CHANGE_TYPES.PHONE_CHANGED, null, '+493012345678']]);
+    });
+
+    it('reports a rating when it crosses below the threshold', () => {
+        const previous = snapshot({}, { 'DE-A1': profile({ rating: 4.6 }), 'DE-A2': profile({ rating: 3.9 }) });
+        const current = snapshot({}, {
+            'DE-A1': profile({ rating: 4.2 }),
+            'DE-A2': profile({ rating: 3.8 }),
+            'DE-A3': profile({ rating: 3.5 }),
+        });
+        const events = diff(previous, current, [], 4.5);
+        assert.deepEqual(events.map(e => [e.type, e.sellerId, e.previousValue, e.currentValue, e.threshold]), [
+            [CHANGE_TYPES.RATING_BELOW_THRESHOLD, 'A1', 4.6, 4.2, 4.5],
+            [CHANGE_TYPES.RATING_BELOW_THRESHOLD, 'A3', null, 3.5, 4.5],
+        ]);
+    });
+});
+
+describe('detectChanges', () => {
+    const storeName = 'monitor-test';
+
+    it('only records a baseline on the first run', async () => {
+        const result = await detectChanges({
+            dataset: fakeDataset([record('B07YDVWL4J', 'A1'), record('B08N5WRWNW', 'A2')]),
+            storeName,
+            completedListings: new Set(['B07YDVWL4J|DE', 'B08N5WRWNW|DE']),
+            ratingThreshold: 0,
+        });
+        assert.deepEqual(result, { baseline: true, events: 0 });
+    });
+
+    it('keeps the sightings of listings that were not read', async () => {
+        const result = await detectChanges({
+            dataset: fakeDataset([]),
+            storeName,
+            completedListings: new Set(['B07YDVWL4J|DE']),
+            ratingThreshold: 0,
+        });
+        assert.deepEqual(result, { baseline: false, events: 1 });
+
+        const store = await Actor.openKeyValueStore(storeName);
+        const { sightings } = await store.getValue('SNAPSHOT');
+        assert.deepEqual(sightings, { 'B07YDVWL4J|DE': {}, 'B08N5WRWNW|DE': { A2: 'Seller A2' } });
+    });
+});
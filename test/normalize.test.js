@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeEmail, normalizePhone, parseAddress, validateVat } from '../src/normalize.js';
+
+describe('parseAddress', () => {
+    it('reads the region before a separate postcode', () => {
+        assert.deepEqual(parseAddress('123 Main St, Seattle, WA, 98109, US'),
+            { street: '123 Main St', postcode: '98109', city: 'Seattle', region: 'WA', country: 'US' });
+        assert.deepEqual(parseAddress('Room 5, 88 Nanshan Rd, Shenzhen, Guangdong, 518000, CN'),
+            { street: 'Room 5, 88 Nanshan Rd', postcode: '518000', city: 'Shenzhen', region: 'Guangdong', country: 'CN' });
+        assert.deepEqual(parseAddress('No. 42, 3rd Cross, Indiranagar, Bengaluru, Karnataka, 560038, IN'),
+            { street: 'No. 42, 3rd Cross, Indiranagar', postcode: '560038', city: 'Bengaluru', region: 'Karnataka', country: 'IN' });
+    });
+
+    it('takes the segment before the postcode as the city elsewhere', () => {
+        assert.deepEqual(parseAddress('Hauptstraße 5, Berlin, 10115, DE'),
+            { street: 'Hauptstraße 5', postcode: '10115', city: 'Berlin', region: null, country: 'DE' });
+        assert.deepEqual(parseAddress('1200 Commerce Dr, Suite 300, Austin, 78701, US'),
+            { street: '1200 Commerce Dr, Suite 300', postcode: '78701', city: 'Austin', region: null, country: 'US' });
+    });
+
+    it('reads a region sharing the postcode segment', () => {
+        assert.deepEqual(parseAddress('1 Infinite Loop, Cupertino, CA 95014, US'),
+            { street: '1 Infinite Loop', postcode: '95014', city: 'Cupertino', region: 'CA', country: 'US' });
+        assert.deepEqual(parseAddress('100 King St W, Toronto, ON M5X 1A9, CA'),
+            { street: '100 King St W', postcode: 'M5X 1A9', city: 'Toronto', region: 'ON', country: 'CA' });
+        assert.deepEqual(parseAddress('Level 5, 100 George St, Sydney NSW 2000, AU'),
+            { street: 'Level 5, 100 George St', postcode: '2000', city: 'Sydney', region: 'NSW', country: 'AU' });
+    });
+
+    it('reads a trailing state code as the region on its marketplace', () => {
+        assert.deepEqual(parseAddress('500 Market St, Wilmington, DE', null, 'US'),
+            { street: '500 Market St', postcode: null, city: 'Wilmington', region: 'DE', country: 'US' });
+        assert.deepEqual(parseAddress('1 Main St, Indianapolis, IN', null, 'US').country, 'US');
+        assert.equal(parseAddress('Hauptstraße 5, Berlin, DE', null, 'DE').country, 'DE');
+        assert.equal(parseAddress('Hauptstraße 5, Berlin, 10115, DE', null, 'US').country, 'DE');
+    });
+
+    it('splits a postcode and city sharing a segment', () => {
+        assert.deepEqual(parseAddress('ul. Marszałkowska 1, 00-001 Warszawa, PL'),
+            { street: 'ul. Marszałkowska 1', postcode: '00-001', city: 'Warszawa', region: null, country: 'PL' });
+    });
+});
+
+describe('validateVat', () => {
+    it('checks the check digits where known', () => {
+        for (const [valid, invalid] of [
+            ['DE136695976', 'DE136695977'],
+            ['IT00743110157', 'IT00743110158'],
+            ['FR40303265045', 'FR41303265045'],
+            ['BE0417497106', 'BE0417497107'],
+            ['PL5260250995', 'PL5260250996'],
+            ['NL004495445B01', 'NL004495446B01'],
+            ['GB980780684', 'GB980780685'],
+        ]) {
+            assert.equal(validateVat(valid).valid, true, valid);
+            assert.equal(validateVat(invalid).valid, false, invalid);
+        }
+    });
+
+    it('leaves validity unknown without a known format', () => {
+        assert.deepEqual(validateVat('1234567890', 'TR'), { vatNumber: '1234567890', country: null, valid: null });
+        assert.deepEqual(validateVat('T1234567890123', 'JP'), { vatNumber: 'T1234567890123', country: null, valid: null });
+    });
+
+    it('adds the default country prefix to valid numbers', () => {
+        assert.deepEqual(validateVat('FR 40 303 265 045', 'FR'), { vatNumber: 'FR40303265045', country: 'FR', valid: true });
+        assert.deepEqual(validateVat('300123456700003', 'SA'), { vatNumber: '300123456700003', country: 'SA', valid: true });
+    });
+
+    it('leaves invalid numbers unprefixed', () => {
+        assert.deepEqual(validateVat('300000000000003', 'DE'), { vatNumber: '300000000000003', country: 'DE', valid: false });
+    });
+});
+
+describe('normalizePhone', () => {
+    it('formats national and international numbers as E.164', () => {
+        assert.equal(normalizePhone('030 12345678', 'DE'), '+493012345678');
+        assert.equal(normalizePhone('0044 20 7946 0958', 'DE'), '+442079460958');
+        assert.equal(normalizePhone('+1 (206) 266-1000', null), '+12062661000');
+    });
+
+    it('returns null for numbers that do not parse', () => {
+        assert.equal(normalizePhone('12', 'DE'), null);
+        assert.equal(normalizePhone('', 'DE'), null);
+    });
+});
+
+describe('normalizeEmail', () => {
+    it('lowercases and checks the syntax', () => {
+        assert.deepEqual(normalizeEmail(' Info@Ladewelt.Example '), { email: 'info@ladewelt.example', valid: true });
+        assert.deepEqual(normalizeEmail('info at ladewelt'), { email: 'info at ladewelt', valid: false });
+        assert.deepEqual(normalizeEmail(null), { email: null, valid: null });
+    });
+});
@@ -0,0 +1,159 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MARKETPLACES, SELECTORS } from '../src/constants.js';
+import {
+    parseBestsellers,
+    parseFeedbackEntries,
+    parseFeedbackSummary,
+    parseOffers,
+    parseSearchResults,
+    parseSellerProfile,
+} from '../src/parsers.js';
+import { evaluate, loadFixture } from './helpers.js';
+
+const marketplace = code => MARKETPLACES.find(m => m.code === code);
+
+describe('parseSellerProfile', () => {
+    it('reads the Detailed Seller Information block', () => {
+        const dom = loadFixture('UK/seller-profile.html', 'https://www.amazon.co.uk/sp?seller=A1BRIGHTLINE01');
+        const info = evaluate(dom, parseSellerProfile, marketplace('UK').labels);
+
+        assert.equal(info.hasDetailedInfo, true);
+        assert.equal(info.sellerDisplayName, 'Brightline Trading');
+        assert.equal(info.businessName, 'Brightline Trading Ltd');
+        assert.equal(info.businessType, 'Privately-owned business');
+        assert.equal(info.tradeRegisterNumber, '09876543');
+        assert.equal(info.vatNumber, 'GB123456789');
+        assert.equal(info.phoneNumber, '+44 20 7946 0958');
+        assert.equal(info.email, 'sales@brightline.example');
+        assert.equal(info.businessAddress, 'Unit 4, Riverside Park, Manchester, M4 5JD, GB');
+        assert.equal(info.rating, 4.7);
+        assert.equal(info.positivePercent, 96);
+        assert.equal(info.ratingCount, 1284);
+    });
+
+    it('falls back to the Customer Service Phone outside the detailed block (UAE)', () => {
+        const dom = loadFixture('AE/seller-profile.html', 'https://www.amazon.ae/sp?seller=A7DESERTSTAR07');
+        const info = evaluate(dom, parseSellerProfile, marketplace('AE').labels);
+
+        assert.equal(info.hasDetailedInfo, true);
+        assert.equal(info.businessName, 'Desert Star General Trading LLC');
+        assert.equal(info.businessAddress, 'Office 12, Al Quoz Industrial Area 3, Dubai, AE');
+        assert.equal(info.customerServicePhone, '+971 4 123 4567');
+        assert.equal(info.phoneNumber, '+971 4 123 4567');
+        assert.equal(info.rating, 4.3);
+        assert.equal(info.positivePercent, 89);
+        assert.equal(info.ratingCount, 312);
+    });
+});
+
+describe('parseFeedbackSummary', () => {
+    it('reads the percentages and counts of every period', () => {
+        const dom = loadFixture('UK/seller-profile.html');
+        assert.deepEqual(evaluate(dom, parseFeedbackSummary), {
+            days30: { positive: 97, neutral: 1, negative: 2, count: 58 },
+            days90: { positive: 96, neutral: 2, negative: 2, count: 171 },
+            months12: { positive: 96, neutral: 1, negative: 3, count: 1284 },
+            lifetime: { positive: 95, neutral: 2, negative: 3, count: 6902 },
+        });
+    });
+
+    it('returns null without a feedback table', () => {
+        const dom = loadFixture('AE/seller-profile.html');
+        assert.equal(evaluate(dom, parseFeedbackSummary), null);
+    });
+});
+
+describe('parseFeedbackEntries', () => {
+    it('reads stars, text, rater and date', () => {
+        const dom = loadFixture('UK/seller-profile.html');
+        const entries = evaluate(dom, parseFeedbackEntries,
+            { rowSelector: SELECTORS.FEEDBACK_ROW, raterPatterns: marketplace('UK').labels.raterPatterns });
+
+        assert.equal(entries.length, 2);
+        assert.deepEqual(entries[0], {
+            stars: 5,
+            text: 'Arrived next day, well packed.',
+            rater: 'Jane Doe',
+            date: '3 May 2024',
+            raterLine: 'By Jane Doe on 3 May 2024.',
+        });
+        assert.equal(entries[1].stars, 2);
+        assert.equal(entries[1].rater, 'Tom');
+    });
+
+    it('splits localized rater lines', () => {
+        for (const [code, line, rater, date] of [
+            ['DE', 'Von Max Mustermann am 5. Mai 2024.', 'Max Mustermann', '5. Mai 2024'],
+            ['TR', 'Ayşe Yılmaz tarafından 5 Mayıs 2024 tarihinde.', 'Ayşe Yılmaz', '5 Mayıs 2024'],
+            ['JP', '評価者: 山田太郎、2024年5月5日', '山田太郎', '2024年5月5日'],
+            ['JP', 'By Jane Doe on May 5, 2024.', 'Jane Doe', 'May 5, 2024'],
+        ]) {
+            const dom = loadFixture('UK/seller-profile.html');
+            dom.window.document.querySelector('#feedback-1-rater').textContent = line;
+            const [entry] = evaluate(dom, parseFeedbackEntries,
+                { rowSelector: SELECTORS.FEEDBACK_ROW, raterPatterns: marketplace(code).labels.raterPatterns });
+            assert.deepEqual([entry.rater, entry.date], [rater, date], line);
+        }
+    });
+});
+
+describe('parseOffers', () => {
+    it('reads every AOD offer with the pinned offer as Buy Box winner', () => {
+        const dom = loadFixture('UK/offers-aag.html', 'https://www.amazon.co.uk/gp/offer-listing/B07YDVWL4J');
+        const offers = evaluate(dom, parseOffers);
+
+        assert.deepEqual(offers.map(o => [o.position, o.sellerName, o.sellerId, o.priceText, o.isBuyBoxWinner]), [
+            [1, 'Amazon', null, '£15.99', true],
+            [2, 'Brightline Trading', 'A1BRIGHTLINE01', '£14.49', false],
+            [3, 'Volt Supplies', 'A2VOLTSUPPLY02', '£13.20', false],
+        ]);
+        assert.equal(offers[1].shipsFrom, 'Amazon');
+        assert.equal(offers[1].hasPrimeBadge, true);
+        assert.equal(offers[2].shippingText, '£2.99');
+        assert.equal(offers[2].deliveryEstimate, '18 - 21 June');
+        assert.equal(offers[2].hasPrimeBadge, false);
+    });
+});
+
+describe('parseSearchResults', () => {
+    it('reads ASINs, titles and sponsored results', () => {
+        const dom = loadFixture('UK/search-results.html', 'https://www.amazon.co.uk/s?k=usb+c+charger');
+        const { results, hasNextPage } = evaluate(dom, parseSearchResults);
+
+        assert.deepEqual(results, [
+            { asin: 'B0SPONSOR1', title: 'Charge Max 65W USB C Charger', sponsored: true },
+            { asin: 'B07YDVWL4J', title: 'Brightline 20W USB-C Charger', sponsored: false },
+            { asin: 'B08N5WRWNW', title: 'Volt 2-Pack USB C Plug', sponsored: true },
+            { asin: 'B09B8V1LZ3', title: 'Ladewelt GaN Charger 30W', sponsored: false },
+        ]);
+        assert.equal(hasNextPage, true);
+    });
+
+    it('stops on the last page', () => {
+        const dom = loadFixture('UK/search-results.html', 'https://www.amazon.co.uk/s?k=usb+c+charger&page=2');
+        dom.window.document.querySelector('.s-pagination-next').outerHTML =
+            '<span class="s-pagination-item s-pagination-next s-pagination-disabled">Next</span>';
+        assert.equal(evaluate(dom, parseSearchResults).hasNextPage, false);
+    });
+});
+
+describe('parseBestsellers', () => {
+    it('reads ranks, ASINs from data attributes or links, and titles', () => {
+        const dom = loadFixture('UK/bestsellers.html', 'https://www.amazon.co.uk/gp/bestsellers/electronics/chargers');
+        const { results, hasNextPage } = evaluate(dom, parseBestsellers);
+
+        assert.deepEqual(results, [
+            { asin: 'B07YDVWL4J', title: 'Brightline 20W USB-C Charger', rank: 1, sponsored: false },
+            { asin: 'B08N5WRWNW', title: 'Volt 2-Pack USB C Plug', rank: 2, sponsored: false },
+            { asin: 'B09B8V1LZ3', title: 'Ladewelt GaN Charger 30W', rank: null, sponsored: false },
+        ]);
+        assert.equal(hasNextPage, true);
+    });
+
+    it('stops on the last page', () => {
+        const dom = loadFixture('UK/bestsellers.html', 'https://www.amazon.co.uk/gp/bestsellers/electronics/chargers?pg=2');
+        dom.window.document.querySelector('li.a-last').outerHTML = '<li class="a-disabled a-last">Next page</li>';
+        assert.equal(evaluate(dom, parseBestsellers).hasNextPage, false);
+    });
+});
@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MARKETPLACES } from '../src/constants.js';
+import { applyMarketplaceLocale } from '../src/proxy.js';
+import { evaluate, loadFixture } from './helpers.js';
+
+/** Page stand-in recording what applyMarketplaceLocale sets up. */
+function recordingPage() {
+    const calls = { headers: null, initScripts: [], cdp: [] };
+    const page = {
+        setExtraHTTPHeaders: async headers => { calls.headers = headers; },
+        addInitScript: async (fn, arg) => { calls.initScripts.push([fn, arg]); },
+        context: () => ({
+            newCDPSession: async () => ({
+                send: async (method, params) => { calls.cdp.push([method, params]); },
+                detach: async () => {},
+            }),
+        }),
+    };
+    return { page, calls };
+}
+
+describe('applyMarketplaceLocale', () => {
+    it("replaces the fingerprint's language with the marketplace's", async () => {
+        const marketplace = MARKETPLACES.find(m => m.code === 'DE');
+        const { page, calls } = recordingPage();
+        await applyMarketplaceLocale(page, marketplace);
+
+        assert.equal(calls.headers['Accept-Language'], 'de-DE,de;q=0.9,en;q=0.8');
+        assert.deepEqual(calls.cdp, [
+            ['Emulation.setLocaleOverride', { locale: 'de-DE' }],
+            ['Emulation.setTimezoneOverride', { timezoneId: 'Europe/Berlin' }],
+        ]);
+
+        // Stand-in for the fingerprint injector's en-US overrides, then the init script on top
+        const dom = loadFixture('UK/not-found.html');
+        dom.window.eval(`Object.defineProperty(Object.getPrototypeOf(navigator), 'language',
+            { get: () => 'en-US', configurable: true })`);
+        const sources = () => [
+            Object.getOwnPropertyDescriptor(Object.getPrototypeOf(navigator), 'languages').get,
+            Intl.NumberFormat,
+            Function.prototype.toString,
+        ].map(fn => Function.prototype.toString.call(fn));
+        const originalSources = evaluate(dom, sources);
+        const [[script, arg]] = calls.initScripts;
+        evaluate(dom, script, arg);
+
+        assert.deepEqual(evaluate(dom, () => [navigator.language, navigator.languages]), ['de-DE', ['de-DE', 'de']]);
+        assert.equal(evaluate(dom, () => new Intl.NumberFormat().resolvedOptions().locale), 'de-DE');
+
+        // No tells: replaced functions keep their source and Intl constructors their identity
+        assert.deepEqual(evaluate(dom, sources), originalSources);
+        assert.equal(evaluate(dom, () => Intl.NumberFormat === Intl.NumberFormat), true);
+        assert.throws(() => evaluate(dom, () => Object.getPrototypeOf(navigator).languages));
+    });
+});
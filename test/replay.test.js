@@ -0,0 +1,96 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createRecorderHook, createReplayHook, snapshotPath } from '../src/replay.js';
+import { evaluate, loadFixture, silentLog } from './helpers.js';
+
+const dir = mkdtempSync(path.join(tmpdir(), 'replay-test-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+const PRODUCT_URL = 'https://www.amazon.co.uk/gp/offer-listing/B07YDVWL4J?condition=new';
+const request = { url: PRODUCT_URL, userData: { marketplaceCode: 'UK' } };
+
+/** Page stand-in that keeps the route handler registered by the replay hook. */
+function routingPage() {
+    const mainFrame = {};
+    const page = {
+        mainFrame: () => mainFrame,
+        route: async (pattern, handler) => { page.handler = handler; },
+    };
+    return page;
+}
+
+/** Routed request stand-in; resolves to how the route was answered. */
+async function routeThrough(page, { url, resourceType = 'document', navigation = true, frame = page.mainFrame() }) {
+    let answer;
+    await page.handler({
+        request: () => ({ url: () => url, resourceType: () => resourceType, isNavigationRequest: () => navigation, frame: () => frame }),
+        abort: async () => { answer = 'aborted'; },
+        fulfill: async ({ status, body }) => { answer = { status, body }; },
+    });
+    return answer;
+}
+
+describe('snapshotPath', () => {
+    it('files snapshots by marketplace, path slug and URL hash', () => {
+        const file = snapshotPath(dir, PRODUCT_URL, 'UK');
+        assert.equal(path.dirname(file), path.join(dir, 'UK'));
+        assert.match(path.basename(file), /^gp-offer-listing-B07YDVWL4J-[0-9a-f]{12}\.html$/);
+
+        assert.equal(snapshotPath(dir, PRODUCT_URL, 'UK'), file);
+        assert.notEqual(snapshotPath(dir, `${PRODUCT_URL}&page=2`, 'UK'), file);
+        assert.match(snapshotPath(dir, 'https://www.amazon.co.uk/', null), /other[/\\]index-[0-9a-f]{12}\.html$/);
+    });
+});
+
+describe('createReplayHook', () => {
+    it("serves the request's snapshot for its main document only", async () => {
+        const file = snapshotPath(dir, PRODUCT_URL, 'UK');
+        mkdirSync(path.dirname(file), { recursive: true });
+        writeFileSync(file, '<html><body>offers</body></html>');
+
+        const page = routingPage();
+        await createReplayHook(dir)({ page, request, log: silentLog });
+
+        assert.deepEqual(await routeThrough(page, { url: PRODUCT_URL }), { status: 200, body: '<html><body>offers</body></html>' });
+        assert.equal((await routeThrough(page, { url: 'https://www.amazon.co.uk/s?k=charger' })).status, 404);
+        assert.equal(await routeThrough(page, { url: PRODUCT_URL, frame: {} }), 'aborted');
+        assert.equal(await routeThrough(page, { url: 'https://m.media-amazon.com/app.js', resourceType: 'script', navigation: false }),
+            'aborted');
+    });
+
+    it('answers 404 when the request was not recorded', async () => {
+        const page = routingPage();
+        const missing = { url: 'https://www.amazon.co.uk/dp/B000000000', userData: { marketplaceCode: 'UK' } };
+        await createReplayHook(dir)({ page, request: missing, log: silentLog });
+
+        const { status, body } = await routeThrough(page, { url: missing.url });
+        assert.equal(status, 404);
+        assert.match(body, /Page Not Found/);
+    });
+});
+
+describe('createRecorderHook', () => {
+    it('saves a script-free copy and leaves the live page alone', async () => {
+        const dom = loadFixture('UK/offers-aag.html', PRODUCT_URL);
+        dom.window.eval(`document.body.appendChild(document.createElement('script')).textContent = 'window.x = 1'`);
+        const page = { evaluate: async fn => evaluate(dom, fn) };
+
+        await createRecorderHook(dir)({ page, request, log: silentLog });
+
+        const html = readFileSync(snapshotPath(dir, PRODUCT_URL, 'UK'), 'utf8');
+        assert.ok(html.startsWith('<!DOCTYPE html>\n<html'));
+        assert.ok(html.includes('Brightline Trading'));
+        assert.ok(!html.includes('<script'));
+        assert.equal(dom.window.document.querySelectorAll('script').length > 0, true);
+    });
+
+    it('logs instead of failing the request', async () => {
+        const warnings = [];
+        const page = { evaluate: async () => { throw new Error('Target closed'); } };
+        await createRecorderHook(dir)({ page, request, log: { ...silentLog, warning: msg => warnings.push(msg) } });
+        assert.match(warnings[0], /Could not record snapshot .*Target closed/);
+    });
+});
@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFailedRequestHandler, LABELS } from '../src/routes.js';
+import { silentLog } from './helpers.js';
+
+function runState() {
+    return {
+        pendingSightings: new Map(),
+        failedProfiles: new Map(),
+        completedOffers: new Set(),
+        readListings: new Set(),
+    };
+}
+
+function failedHandler(state) {
+    const sellerRecords = [];
+    const listings = [];
+    const attempts = [];
+    const handler = createFailedRequestHandler({
+        state,
+        saveFailureSnapshots: false,
+        onSellerRecord: async record => { sellerRecords.push(record); },
+        onFailedListing: async record => { listings.push(record); },
+        onAttempt: async record => { attempts.push(record); },
+        log: silentLog,
+    });
+    return { handler, sellerRecords, listings, attempts };
+}
+
+const sellerRequest = (userData = {}) => ({
+    label: LABELS.SELLER,
+    url: 'https://www.amazon.de/sp?seller=A3LADEWELT0003&asin=B07YDVWL4J',
+    retryCount: 2,
+    errorMessages: [],
+    userData: { asin: 'B07YDVWL4J', marketplaceCode: 'DE', sellerName: 'Ladewelt GmbH', sellerId: 'A3LADEWELT0003', ...userData },
+});
+
+describe('createFailedRequestHandler', () => {
+    it('emits an error record for every pending sighting of a failed profile', async () => {
+        const state = runState();
+        state.pendingSightings.set('DE-A3LADEWELT0003', [
+            { asin: 'B07YDVWL4J', sellerName: 'Ladewelt GmbH', sellerCategory: 'third_party' },
+            { asin: 'B08N5WRWNW', sellerName: 'Ladewelt GmbH', sellerCategory: 'third_party' },
+        ]);
+        const { handler, sellerRecords } = failedHandler(state);
+
+        await handler({ request: sellerRequest() }, new Error('Navigation timed out after 45 seconds.'));
+
+        assert.deepEqual(sellerRecords.map(r => [r.asin, r.status, r.error]), [
+            ['B07YDVWL4J', 'error', 'Navigation timed out after 45 seconds.'],
+            ['B08N5WRWNW', 'error', 'Navigation timed out after 45 seconds.'],
+        ]);
+        assert.equal(state.pendingSightings.has('DE-A3LADEWELT0003'), false);
+        assert.deepEqual(state.failedProfiles.get('DE-A3LADEWELT0003'),
+            { blockType: null, error: 'Navigation timed out after 45 seconds.' });
+    });
+
+    it('emits blocked records for a blocked profile', async () => {
+        const state = runState();
+        const { handler, sellerRecords, listings } = failedHandler(state);
+
+        await handler({ request: sellerRequest({ blockType: 'captcha' }) }, new Error('Blocked (captcha)'));
+
+        assert.deepEqual(sellerRecords.map(r => [r.asin, r.status, r.blockType]), [['B07YDVWL4J', 'blocked', 'captcha']]);
+        assert.deepEqual(listings, []);
+        assert.equal(state.failedProfiles.get('DE-A3LADEWELT0003').blockType, 'captcha');
+    });
+
+    it('records the block type or error kind of a failed offer listing', async () => {
+        const { handler, attempts } = failedHandler(runState());
+        const offersRequest = userData => ({
+            label: LABELS.OFFERS,
+            url: 'https://www.amazon.de/gp/offer-listing/B07YDVWL4J',
+            retryCount: 2,
+            userData: { asin: 'B07YDVWL4J', marketplaceCode: 'DE', ...userData },
+        });
+
+        await handler({ request: offersRequest({ blockType: 'service_unavailable' }) }, new Error('Blocked (service_unavailable)'));
+        await handler({ request: offersRequest() }, new Error('page.goto: net::ERR_TUNNEL_CONNECTION_FAILED'));
+
+        assert.deepEqual(attempts.map(a => [a.status, a.blockType]), [
+            ['service_unavailable', 'service_unavailable'],
+            ['network_error', null],
+        ]);
+    });
+
+    it('names discovery pages by URL', async () => {
+        const errors = [];
+        const handler = createFailedRequestHandler({
+            state: runState(),
+            saveFailureSnapshots: false,
+            onSellerRecord: async () => {},
+            onFailedListing: async () => {},
+            onAttempt: async () => {},
+            log: { ...silentLog, error: message => errors.push(message) },
+        });
+
+        await handler({
+            request: {
+                label: LABELS.SEARCH,
+                url: 'https://www.amazon.de/s?k=usb+c+charger',
+                userData: { marketplaceCode: 'DE', source: 'search', query: 'usb c charger' },
+            },
+        }, new Error('Navigation timed out after 45 seconds.'));
+
+        assert.deepEqual(errors, [
+            '[DE] Request failed for https://www.amazon.de/s?k=usb+c+charger (SEARCH): Navigation timed out after 45 seconds.',
+        ]);
+    });
+});
@@ -0,0 +1,135 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MARKETPLACES } from '../src/constants.js';
+import { ATTEMPT_STATUS } from '../src/diagnostics.js';
+import {
+    categorySearchUrl,
+    extractAllSellers,
+    extractOffers,
+    listingPageUrl,
+    offerListingUrl,
+    searchUrl,
+    sellerProfileUrl,
+    storefrontUrl,
+} from '../src/scraper.js';
+import { fakePage, loadFixture, silentLog } from './helpers.js';
+
+const marketplace = code => MARKETPLACES.find(m => m.code === code);
+
+describe('URL builders', () => {
+    it('builds offer listing URLs, without a filter for all conditions', () => {
+        assert.equal(offerListingUrl('B07YDVWL4J', marketplace('DE')),
+            'https://www.amazon.de/gp/offer-listing/B07YDVWL4J/ref=dp_olp_NEW_mbc?condition=NEW');
+        assert.equal(offerListingUrl('B07YDVWL4J', marketplace('UK'), 'used'),
+            'https://www.amazon.co.uk/gp/offer-listing/B07YDVWL4J/ref=dp_olp_USED_mbc?condition=USED');
+        assert.equal(offerListingUrl('B07YDVWL4J', marketplace('UK'), 'all'),
+            'https://www.amazon.co.uk/gp/offer-listing/B07YDVWL4J/ref=dp_olp_ALL_mbc');
+    });
+
+    it('builds seller, storefront and search URLs', () => {
+        assert.equal(sellerProfileUrl('A3LADEWELT0003', 'B07YDVWL4J', marketplace('DE')),
+            'https://www.amazon.de/sp?seller=A3LADEWELT0003&asin=B07YDVWL4J');
+        assert.equal(sellerProfileUrl('A3LADEWELT0003', null, marketplace('DE')), 'https://www.amazon.de/sp?seller=A3LADEWELT0003');
+        assert.equal(storefrontUrl('A3LADEWELT0003', marketplace('JP')), 'https://www.amazon.co.jp/s?me=A3LADEWELT0003');
+        assert.equal(storefrontUrl('A3LADEWELT0003', marketplace('JP'), 3), 'https://www.amazon.co.jp/s?me=A3LADEWELT0003&page=3');
+        assert.equal(searchUrl('usb c & charger', marketplace('FR')), 'https://www.amazon.fr/s?k=usb%20c%20%26%20charger');
+    });
+
+    it('turns browse nodes into paginated listings', () => {
+        assert.equal(categorySearchUrl('https://www.amazon.de/b?node=1384526031&ref=nav'), 'https://www.amazon.de/s?rh=n%3A1384526031');
+        assert.equal(categorySearchUrl('https://www.amazon.de/s?i=electronics'), 'https://www.amazon.de/s?i=electronics');
+        assert.equal(listingPageUrl('https://www.amazon.de/s?k=charger&page=2', 'page', 3), 'https://www.amazon.de/s?k=charger&page=3');
+        assert.equal(listingPageUrl('https://www.amazon.co.uk/gp/bestsellers/electronics', 'pg', 2),
+            'https://www.amazon.co.uk/gp/bestsellers/electronics?pg=2');
+    });
+});
+
+describe('extractAllSellers', () => {
+    it('finds sellers by /gp/aag/main links', async () => {
+        const page = fakePage(loadFixture('UK/offers-aag.html', 'https://www.amazon.co.uk/gp/offer-listing/B07YDVWL4J'));
+        const { sellers, status, matchedSelector } = await extractAllSellers(page, marketplace('UK'), {}, silentLog);
+
+        assert.equal(status, ATTEMPT_STATUS.OK);
+        assert.equal(matchedSelector, '#aod-offer-list #aod-offer');
+        assert.deepEqual(sellers.map(s => [s.sellerId, s.name, s.strategy]), [
+            ['A1BRIGHTLINE01', 'Brightline Trading', 'aag'],
+            ['A2VOLTSUPPLY02', 'Volt Supplies', 'aag'],
+        ]);
+    });
+
+    it('finds sellers by seller= parameter links', async () => {
+        const page = fakePage(loadFixture('DE/offers-seller-param.html', 'https://www.amazon.de/gp/offer-listing/B07YDVWL4J'));
+        const { sellers, status } = await extractAllSellers(page, marketplace('DE'), {}, silentLog);
+
+        assert.equal(status, ATTEMPT_STATUS.OK);
+        assert.deepEqual(sellers.map(s => [s.sellerId, s.name, s.strategy]), [
+            ['A3LADEWELT0003', 'Ladewelt GmbH', 'sellerParam'],
+            ['A4KRAUSELEKTR4', 'Elektro Kraus', 'sellerParam'],
+        ]);
+    });
+
+    it('finds sellers next to "Sold by" text', async () => {
+        const page = fakePage(loadFixture('US/offers-sold-by.html', 'https://www.amazon.com/dp/B07YDVWL4J'));
+        const { sellers, status, matchedSelector } = await extractAllSellers(page, marketplace('US'), {}, silentLog);
+
+        assert.equal(status, ATTEMPT_STATUS.OK);
+        assert.equal(matchedSelector, '#ppd');
+        assert.deepEqual(sellers.map(s => [s.sellerId, s.name, s.strategy]), [
+            ['A5GADGETOUTLT5', 'Gadget Outlet', 'soldBy'],
+            ['A6CHARGEDEPOT6', 'Charge Depot', 'soldByPath'],
+        ]);
+    });
+
+    it('reports no_offers when the listing has no seller link', async () => {
+        const page = fakePage(loadFixture('UK/offers-amazon-only.html', 'https://www.amazon.co.uk/dp/B09B8V1LZ3'));
+        const { sellers, status, listingRead } = await extractAllSellers(page, marketplace('UK'), {}, silentLog);
+
+        assert.equal(status, ATTEMPT_STATUS.NO_OFFERS);
+        assert.deepEqual(sellers, []);
+        assert.equal(listingRead, true);
+    });
+
+    it('does not trust an empty seller list without an offer container', async () => {
+        const page = fakePage(loadFixture('UK/robot-check.html', 'https://www.amazon.co.uk/gp/offer-listing/B07YDVWL4J'));
+        const { status, listingRead, matchedSelector } = await extractAllSellers(page, marketplace('UK'), {}, silentLog);
+
+        assert.equal(status, ATTEMPT_STATUS.NO_OFFERS);
+        assert.equal(matchedSelector, null);
+        assert.equal(listingRead, false);
+    });
+
+    it('caps the sellers at maxOffers when expanding', async () => {
+        const page = fakePage(loadFixture('UK/offers-aag.html', 'https://www.amazon.co.uk/gp/offer-listing/B07YDVWL4J'));
+        const { sellers } = await extractAllSellers(page, marketplace('UK'), { expandOffers: true, maxOffers: 1 }, silentLog);
+        assert.deepEqual(sellers.map(s => s.sellerId), ['A1BRIGHTLINE01']);
+    });
+
+    it('detects the "Page Not Found" page', async () => {
+        const page = fakePage(loadFixture('UK/not-found.html', 'https://www.amazon.co.uk/gp/offer-listing/B000000000'));
+        const result = await extractAllSellers(page, marketplace('UK'), {}, silentLog);
+
+        assert.equal(result.status, ATTEMPT_STATUS.NOT_FOUND);
+        assert.equal(result.pageTitle, 'Page Not Found');
+        assert.deepEqual(result.sellers, []);
+    });
+});
+
+describe('extractOffers', () => {
+    it('classifies Amazon offers and fulfillment', async () => {
+        const page = fakePage(loadFixture('UK/offers-aag.html', 'https://www.amazon.co.uk/gp/offer-listing/B07YDVWL4J'));
+        const offers = await extractOffers(page, 'B07YDVWL4J', marketplace('UK'), {}, silentLog);
+
+        assert.deepEqual(offers.map(o => [o.sellerName, o.sellerCategory, o.fulfillment, o.price, o.shippingCost]), [
+            ['Amazon', 'amazon', 'AMAZON', 15.99, 0],
+            ['Brightline Trading', 'third_party', 'FBA', 14.49, 0],
+            ['Volt Supplies', 'third_party', 'FBM', 13.2, 2.99],
+        ]);
+        assert.ok(offers.every(o => o.asin === 'B07YDVWL4J' && o.currency === 'GBP'));
+    });
+
+    it('caps the offers at maxOffers', async () => {
+        const page = fakePage(loadFixture('UK/offers-aag.html', 'https://www.amazon.co.uk/gp/offer-listing/B07YDVWL4J'));
+        const offers = await extractOffers(page, 'B07YDVWL4J', marketplace('UK'), { maxOffers: 2 }, silentLog);
+        assert.deepEqual(offers.map(o => o.position), [1, 2]);
+    });
+});
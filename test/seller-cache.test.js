@@ -0,0 +1,37 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// Local storage must point at a scratch directory before apify is loaded
+const storageDir = mkdtempSync(path.join(tmpdir(), 'seller-cache-test-'));
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+const { openSellerCache } = await import('../src/seller-cache.js');
+
+after(() => rmSync(storageDir, { recursive: true, force: true }));
+
+describe('openSellerCache', () => {
+    const runStartedAt = Date.now();
+
+    it('reuses profiles scraped before a restart of the same run, even without a TTL', async () => {
+        const firstAttempt = await openSellerCache({ ttlDays: 0, runStartedAt });
+        await firstAttempt.set('DE', 'A1RESTARTED001', { businessName: 'Ladewelt GmbH' });
+
+        const resumed = await openSellerCache({ ttlDays: 0, runStartedAt, resumed: true });
+        await resumed.load('DE', 'A1RESTARTED001');
+        assert.deepEqual(resumed.peek('DE', 'A1RESTARTED001').info, { businessName: 'Ladewelt GmbH' });
+    });
+
+    it('ignores profiles of earlier runs without a TTL', async () => {
+        const laterRun = await openSellerCache({ ttlDays: 0, runStartedAt: Date.now() + 1000, resumed: true });
+        await laterRun.load('DE', 'A1RESTARTED001');
+        assert.equal(laterRun.peek('DE', 'A1RESTARTED001'), null);
+    });
+
+    it('reuses profiles of earlier runs within the TTL', async () => {
+        const laterRun = await openSellerCache({ ttlDays: 1, runStartedAt: Date.now() + 1000 });
+        await laterRun.load('DE', 'A1RESTARTED001');
+        assert.equal(laterRun.peek('DE', 'A1RESTARTED001').info.businessName, 'Ladewelt GmbH');
+    });
+});
@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifySeller, isAmazonSeller, SELLER_CATEGORIES } from '../src/seller-category.js';
+
+const { AMAZON, AMAZON_WAREHOUSE, THIRD_PARTY } = SELLER_CATEGORIES;
+
+describe('classifySeller', () => {
+    it('recognizes Amazon merchant IDs whatever the name', () => {
+        assert.equal(classifySeller({ sellerId: 'A3JWKAKR8XB7XF', name: 'Verkauf durch Amazon' }), AMAZON);
+        assert.equal(classifySeller({ sellerId: 'ATVPDKIKX0DER' }), AMAZON);
+        assert.equal(classifySeller({ sellerId: 'A8KICS1PHF7ZO', name: 'Amazon' }), AMAZON_WAREHOUSE);
+    });
+
+    it('matches Amazon entity names exactly after normalization', () => {
+        for (const name of ['Amazon', 'Amazon.de', 'AMAZON.CO.UK', 'Amazon Media EU S.à r.l.', 'Amazon Media EU',
+            'Amazon Japan G.K.', 'Amazon EU S.a.r.l.', 'أمازون']) {
+            assert.equal(classifySeller({ sellerId: 'A1UNKNOWN00001', name }), AMAZON, name);
+        }
+    });
+
+    it('puts Warehouse Deals and resale names in the warehouse category', () => {
+        for (const name of ['Warehouse Deals', 'Amazon Warehouse', 'Amazon Retourenkauf', 'Amazon Seconde Main']) {
+            assert.equal(classifySeller({ name }), AMAZON_WAREHOUSE, name);
+        }
+    });
+
+    it('keeps names that only resemble Amazon third party', () => {
+        for (const name of ['Amazing Deals', 'a', 'Amazon Fan Shop', 'Amaz', 'Deals', 'Warehouse', 'The Amazon Store']) {
+            assert.equal(classifySeller({ sellerId: 'A1UNKNOWN00001', name }), THIRD_PARTY, name);
+        }
+        assert.equal(classifySeller({}), THIRD_PARTY);
+    });
+
+    it('trusts the "Ships from and sold by Amazon" signal', () => {
+        assert.equal(classifySeller({ name: 'Amazon Export Sales', soldByAmazon: true }), AMAZON);
+        assert.equal(classifySeller({ name: 'Amazon Export Sales' }), THIRD_PARTY);
+    });
+});
+
+describe('isAmazonSeller', () => {
+    it('is true for retail and warehouse sellers only', () => {
+        assert.equal(isAmazonSeller({ name: 'Amazon.fr' }), true);
+        assert.equal(isAmazonSeller({ name: 'Warehouse Deals' }), true);
+        assert.equal(isAmazonSeller({ name: 'Amazing Deals' }), false);
+    });
+});
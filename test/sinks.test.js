@@ -0,0 +1,135 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { createServer } from 'node:http';
+import { createOutputSinks } from '../src/sinks.js';
+import { silentLog } from './helpers.js';
+
+/**
+ * Local stand-in for the sink endpoints. Every request is recorded per path;
+ * `responses[path]` holds the status codes to answer with, in order (200 once used up).
+ */
+const received = {};
+const responses = {};
+let server;
+let baseUrl;
+
+before(async () => {
+    server = createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            (received[req.url] ??= []).push({ headers: req.headers, body: Buffer.concat(chunks).toString() });
+            res.writeHead(responses[req.url]?.shift() ?? 200).end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const record = (sellerId, extra = {}) => ({
+    status: 'ok',
+    asin: 'B07YDVWL4J',
+    marketplace: 'DE',
+    sellerId,
+    sellerDisplayName: 'Ladewelt',
+    businessName: 'Ladewelt GmbH',
+    phoneNumberE164: '+493012345678',
+    emailNormalized: null,
+    businessAddressParsed: { street: 'Hauptstraße 5', city: 'Berlin', postcode: '10115', country: 'DE' },
+    vatNumberNormalized: 'DE123456789',
+    ...extra,
+});
+
+const fast = { retryBackoffMs: 1, timeoutMs: 2000 };
+
+describe('createOutputSinks', () => {
+    it('signs webhook bodies with HMAC-SHA256', async () => {
+        const sinks = createOutputSinks([{ type: 'webhook', url: `${baseUrl}/signed`, secret: 's3cret', ...fast }], { log: silentLog });
+        sinks.push(record('A1SELLER000001'));
+        await sinks.flush();
+
+        const [{ headers, body }] = received['/signed'];
+        const expected = `sha256=${createHmac('sha256', 's3cret').update(body).digest('hex')}`;
+        assert.equal(headers['x-signature-256'], expected);
+        assert.equal(JSON.parse(body).records[0].sellerId, 'A1SELLER000001');
+    });
+
+    it('retries 5xx and 429 responses but not other 4xx', async () => {
+        responses['/flaky'] = [503, 429];
+        responses['/rejecting'] = [400];
+        const sinks = createOutputSinks([
+            { type: 'webhook', url: `${baseUrl}/flaky`, ...fast },
+            { type: 'webhook', url: `${baseUrl}/rejecting`, ...fast },
+        ], { log: silentLog });
+        sinks.push(record('A1SELLER000001'));
+        await sinks.flush();
+
+        assert.equal(received['/flaky'].length, 3);
+        assert.equal(received['/rejecting'].length, 1);
+        assert.deepEqual(sinks.stats(), [
+            { name: 'webhook#1', sent: 1, failed: 0 },
+            { name: 'webhook#2', sent: 0, failed: 1 },
+        ]);
+    });
+
+    it('sends batches in order, even when an earlier one needs retries', async () => {
+        responses['/ordered'] = [500];
+        const sinks = createOutputSinks([{ type: 'webhook', url: `${baseUrl}/ordered`, batchSize: 2, ...fast }], { log: silentLog });
+        for (const id of ['A1', 'A2', 'A3', 'A4', 'A5']) sinks.push(record(id));
+        await sinks.flush();
+
+        const batches = received['/ordered'].map(({ body }) => JSON.parse(body).records.map(r => r.sellerId));
+        assert.deepEqual(batches, [['A1', 'A2'], ['A1', 'A2'], ['A3', 'A4'], ['A5']]);
+    });
+
+    it('keeps delivering to the other sinks when one keeps failing', async () => {
+        responses['/down'] = [500, 500, 500, 500, 500, 500, 500, 500];
+        const sinks = createOutputSinks([
+            { type: 'webhook', url: `${baseUrl}/down`, maxRetries: 1, ...fast },
+            { type: 'csv', url: `${baseUrl}/sheet`, columns: ['sellerId', 'businessName'], ...fast },
+        ], { log: silentLog });
+        sinks.push(record('A1SELLER000001'));
+        sinks.push(record('A2SELLER000002'));
+        await sinks.flush();
+
+        assert.deepEqual(received['/sheet'].map(r => r.body), [
+            'sellerId,businessName\nA1SELLER000001,Ladewelt GmbH\n',
+            'A2SELLER000002,Ladewelt GmbH\n',
+        ]);
+        assert.deepEqual(sinks.stats(), [
+            { name: 'webhook#1', sent: 0, failed: 2 },
+            { name: 'csv#2', sent: 2, failed: 0 },
+        ]);
+    });
+
+    it('only upserts scraped profiles as leads, without empty properties', async () => {
+        const sinks = createOutputSinks([{ type: 'lead', url: `${baseUrl}/crm`, batchSize: 4, ...fast }], { log: silentLog });
+        sinks.push(record('A1SELLER000001', { businessName: 'Ladewelt' }));
+        sinks.push(record('A2SELLER000002', { status: 'blocked', businessName: null }));
+        sinks.push(record('A1SELLER000001'));
+        sinks.push(record('A3SELLER000003', { status: 'error', businessName: null }));
+        await sinks.flush();
+
+        const { inputs } = JSON.parse(received['/crm'][0].body);
+        assert.deepEqual(inputs, [{
+            idProperty: 'amazon_seller_id',
+            id: 'A1SELLER000001',
+            properties: {
+                company: 'Ladewelt GmbH',
+                phone: '+493012345678',
+                address: 'Hauptstraße 5',
+                city: 'Berlin',
+                zip: '10115',
+                country: 'DE',
+                vat_number: 'DE123456789',
+                amazon_seller_name: 'Ladewelt',
+                amazon_marketplace: 'DE',
+            },
+        }]);
+        // Counted as sent: the one lead in the payload
+        assert.deepEqual(sinks.stats(), [{ name: 'lead#1', sent: 1, failed: 0 }]);
+    });
+});